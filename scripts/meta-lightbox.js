@@ -68,6 +68,7 @@
     
     // Image handling
     imageLoader: null,                   // Custom image URL resolver function
+    imageSources: null,                  // (card) => image URLs to try in order when one fails
     fallbackImage: '/assets/card-back.svg',  // Fallback image if loading fails
     
     // Hooks (all hooks receive event object with relevant data)
@@ -97,10 +98,13 @@
   class MetaLightbox {
     constructor(config = {}) {
       this.config = { ...DEFAULT_CONFIG, ...config };
+      this.config.hooks = { ...DEFAULT_CONFIG.hooks, ...config.hooks };
       this.isOpen = false;
       this.currentIndex = -1;
       this.cards = [];
       this.currentCard = null;
+      this.imageSources = [];
+      this.imageSourceIndex = 0;
       this.metadata = null;
       this.loadingMetadata = false;
       
@@ -746,10 +750,22 @@
         });
         
         this.addListener(this.imageEl, 'error', () => {
+          // Already showing the fallback image
+          if (this.imageSourceIndex >= this.imageSources.length) return;
+          
+          // Try the card's next image source before giving up
+          this.imageSourceIndex++;
+          if (this.imageSourceIndex < this.imageSources.length) {
+            this.imageEl.src = this.imageSources[this.imageSourceIndex];
+            return;
+          }
+          
+          const attemptedUrl = this.imageEl.src;
           this.imageEl.src = this.config.fallbackImage;
           this.triggerHook('onImageError', {
             card: this.currentCard,
-            attemptedUrl: this.imageEl.src
+            attemptedUrl,
+            attemptedUrls: this.imageSources
           });
         });
       }
@@ -897,8 +913,10 @@
         this.imageEl.classList.remove('loaded');
         this.showSpinner();
         
-        // Resolve image URL
-        const imageUrl = this.resolveImageUrl(this.currentCard);
+        // Resolve image URLs
+        this.imageSources = this.getImageSources(this.currentCard);
+        this.imageSourceIndex = 0;
+        const imageUrl = this.imageSources[0];
         
         // Preload if enabled
         if (this.config.preloadImages) {
@@ -944,6 +962,18 @@
       return this.config.fallbackImage;
     }
 
+    /**
+     * Image URLs to try for a card, in order. Uses config.imageSources when set,
+     * otherwise the single URL from resolveImageUrl
+     */
+    getImageSources(card) {
+      if (typeof this.config.imageSources === 'function') {
+        const sources = (this.config.imageSources(card) || []).filter(Boolean);
+        if (sources.length) return sources;
+      }
+      return [this.resolveImageUrl(card)];
+    }
+
     /**
      * Get card name from card object
      */
@@ -1287,14 +1317,14 @@
       // Preload previous image
       if (this.currentIndex > 0) {
         const prevCard = this.cards[this.currentIndex - 1];
-        const prevUrl = this.resolveImageUrl(prevCard);
+        const prevUrl = this.getImageSources(prevCard)[0];
         this.preloadImage(prevUrl);
       }
       
       // Preload next image
       if (this.currentIndex < this.cards.length - 1) {
         const nextCard = this.cards[this.currentIndex + 1];
-        const nextUrl = this.resolveImageUrl(nextCard);
+        const nextUrl = this.getImageSources(nextCard)[0];
         this.preloadImage(nextUrl);
       }
     }
@@ -0,0 +1,328 @@
+/**
+ * Progress Store
+ *
+ * Keeps collections, pack stats, recent cards and the active set name. These used to live in
+ * localStorage, whose ~5 MB per site filled up once collections held full card copies, so they
+ * now go to IndexedDB and collections hold compact ownership records.
+ *
+ * Keys are the ones localStorage used: collection_<set>, packStats_<set>, recentCards and
+ * activeSetName. Values are plain objects/strings, not JSON text.
+ *
+ * After init() resolves every value is in memory, so get() is synchronous. set() and remove()
+ * update memory at once and are written in the background, batched per tick.
+ *
+ * Backends, in order of preference:
+ *   indexeddb    - normal case
+ *   localStorage - IndexedDB unavailable (some private modes); same keys as before
+ *   memory       - no storage at all; progress lasts until the page closes
+ * A failed write (storage full, disk error) goes to the onError handlers; the value stays in
+ * memory and is written again with the next change.
+ *
+ * Schema versions (the "schemaVersion" record of the meta store):
+ *   1 - values copied over from localStorage
+ *   2 - collection entries reduced to ownership records
+ *   3 - per-variant counts moved from `variants` (the name of the card's own variant list)
+ *       to `variantCounts`
+ */
+
+(function(window) {
+  'use strict';
+
+  const DB_NAME = 'pack-opener-progress';
+  const DB_VERSION = 1;
+  const STORE = 'values';
+  const META_STORE = 'meta';
+  const SCHEMA_VERSION = 3;
+  const LOCAL_SCHEMA_KEY = 'progressSchemaVersion';
+
+  const LEGACY_PREFIXES = ['collection_', 'packStats_'];
+  const LEGACY_KEYS = ['recentCards', 'activeSetName'];
+  const RAW_STRING_KEYS = ['activeSetName']; // stored without JSON encoding in localStorage
+  const OWNERSHIP_FIELDS = ['id', 'name', 'number', 'rarity', 'count', 'variantCounts'];
+
+  const values = new Map();
+  const pending = new Map(); // key -> value to write, undefined to delete
+  const errorHandlers = [];
+  let backend = 'memory';
+  let db = null;
+  let flushScheduled = false;
+  let initPromise = null;
+
+  // ---------- localStorage ----------
+
+  function hasLocalStorage() {
+    try {
+      return !!window.localStorage;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isLegacyKey(key) {
+    return LEGACY_KEYS.includes(key) || LEGACY_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  function readLocalValue(key) {
+    const raw = window.localStorage.getItem(key);
+    if (raw === null) return undefined;
+    if (RAW_STRING_KEYS.includes(key)) return raw;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return undefined; // unreadable values are treated as unset
+    }
+  }
+
+  function writeLocalValue(key, value) {
+    if (value === undefined) window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, RAW_STRING_KEYS.includes(key) ? value : JSON.stringify(value));
+  }
+
+  function readLegacyValues() {
+    const data = {};
+    if (!hasLocalStorage()) return data;
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (!isLegacyKey(key)) continue;
+      const value = readLocalValue(key);
+      if (value !== undefined) data[key] = value;
+    }
+    return data;
+  }
+
+  // ---------- IndexedDB ----------
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE)) database.createObjectStore(STORE);
+        if (!database.objectStoreNames.contains(META_STORE)) database.createObjectStore(META_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('Failed to open the progress store'));
+    });
+  }
+
+  function readDb() {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE, META_STORE], 'readonly');
+      const store = tx.objectStore(STORE);
+      const keysRequest = store.getAllKeys();
+      const valuesRequest = store.getAll();
+      const versionRequest = tx.objectStore(META_STORE).get('schemaVersion');
+      tx.oncomplete = () => {
+        const data = {};
+        keysRequest.result.forEach((key, i) => { data[key] = valuesRequest.result[i]; });
+        resolve({ data, version: versionRequest.result || 0 });
+      };
+      tx.onerror = () => reject(tx.error || new Error('Failed to read the progress store'));
+    });
+  }
+
+  function writeDb(entries, version = null) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE, META_STORE], 'readwrite');
+      const store = tx.objectStore(STORE);
+      entries.forEach(([key, value]) => {
+        if (value === undefined) store.delete(key);
+        else store.put(value, key);
+      });
+      if (version !== null) tx.objectStore(META_STORE).put(version, 'schemaVersion');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error || new Error('Progress store write failed'));
+      tx.onabort = () => reject(tx.error || new Error('Progress store write aborted'));
+    });
+  }
+
+  // ---------- Migrations ----------
+
+  function compactCollection(collection) {
+    if (!collection || typeof collection !== 'object') return {};
+    const compact = {};
+    Object.entries(collection).forEach(([key, entry]) => {
+      if (!entry || typeof entry !== 'object') return;
+      compact[key] = {};
+      OWNERSHIP_FIELDS.forEach(field => {
+        if (entry[field] !== undefined) compact[key][field] = entry[field];
+      });
+      // Older records kept the counts in `variants`; an array there is the card's own list
+      const counts = entry.variants;
+      if (!compact[key].variantCounts && counts && typeof counts === 'object' && !Array.isArray(counts)) {
+        compact[key].variantCounts = counts;
+      }
+    });
+    return compact;
+  }
+
+  // Each migration brings `data` (key -> value) up to its version
+  const MIGRATIONS = [
+    {
+      version: 1,
+      migrate(data) {
+        const legacy = readLegacyValues();
+        Object.keys(legacy).forEach(key => { if (!(key in data)) data[key] = legacy[key]; });
+      }
+    },
+    {
+      version: 2,
+      migrate(data) {
+        Object.keys(data)
+          .filter(key => key.startsWith('collection_'))
+          .forEach(key => { data[key] = compactCollection(data[key]); });
+      }
+    },
+    {
+      version: 3,
+      migrate(data) {
+        Object.keys(data)
+          .filter(key => key.startsWith('collection_'))
+          .forEach(key => { data[key] = compactCollection(data[key]); });
+      }
+    }
+  ];
+
+  function runMigrations(data, version) {
+    MIGRATIONS.filter(m => m.version > version).forEach(m => m.migrate(data));
+  }
+
+  // ---------- Public API ----------
+
+  /**
+   * Loads everything into memory, migrating older data first. Never rejects: without
+   * IndexedDB it falls back to localStorage, and without that to memory only
+   *
+   * @returns {Promise<string>} - The backend in use
+   */
+  function init() {
+    if (initPromise) return initPromise;
+
+    initPromise = openDb()
+      .then(database => {
+        db = database;
+        return readDb().then(({ data, version }) => {
+          runMigrations(data, version);
+          data = Object.entries(data);
+          data.forEach(([key, value]) => values.set(key, value));
+          backend = 'indexeddb';
+          if (version >= SCHEMA_VERSION) return;
+
+          return writeDb(data, SCHEMA_VERSION).then(() => {
+            // Copied over, so the old keys can give their space back
+            if (version < 1 && hasLocalStorage()) {
+              Object.keys(readLegacyValues()).forEach(key => window.localStorage.removeItem(key));
+            }
+          });
+        });
+      })
+      .catch(() => {
+        // IndexedDB unavailable; the backend init() resolves with tells the page
+        db = null;
+        values.clear();
+        if (!hasLocalStorage()) {
+          backend = 'memory';
+          return;
+        }
+
+        backend = 'localStorage';
+        const data = readLegacyValues();
+        const version = Number(window.localStorage.getItem(LOCAL_SCHEMA_KEY)) || 0;
+        runMigrations(data, version);
+        Object.entries(data).forEach(([key, value]) => values.set(key, value));
+        if (version >= SCHEMA_VERSION) return;
+        try {
+          Object.entries(data).forEach(([key, value]) => writeLocalValue(key, value));
+          window.localStorage.setItem(LOCAL_SCHEMA_KEY, String(SCHEMA_VERSION));
+        } catch (writeErr) {
+          reportError(writeErr);
+        }
+      })
+      .then(() => backend);
+
+    return initPromise;
+  }
+
+  function get(key) {
+    return values.get(key);
+  }
+
+  function set(key, value) {
+    if (value === undefined) return remove(key);
+    values.set(key, value);
+    queueWrite(key, value);
+  }
+
+  function remove(key) {
+    values.delete(key);
+    queueWrite(key, undefined);
+  }
+
+  /**
+   * Keys starting with `prefix` (all keys without one)
+   */
+  function keys(prefix = '') {
+    return [...values.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  function queueWrite(key, value) {
+    pending.set(key, value);
+    if (flushScheduled) return;
+    flushScheduled = true;
+    Promise.resolve().then(flush);
+  }
+
+  /**
+   * Writes queued changes now
+   *
+   * @returns {Promise<void>} - Resolves once written (or reported as failed)
+   */
+  function flush() {
+    flushScheduled = false;
+    const batch = [...pending];
+    pending.clear();
+    if (!batch.length || backend === 'memory') return Promise.resolve();
+
+    let write;
+    if (backend === 'indexeddb') {
+      write = writeDb(batch);
+    } else {
+      write = new Promise(resolve => {
+        batch.forEach(([key, value]) => writeLocalValue(key, value));
+        resolve();
+      });
+    }
+    return write.catch(err => {
+      // Keep the failed values queued (without retrying in a loop) for the next write
+      batch.forEach(([key, value]) => { if (!pending.has(key)) pending.set(key, value); });
+      reportError(err);
+    });
+  }
+
+  function onError(handler) {
+    errorHandlers.push(handler);
+  }
+
+  function reportError(err) {
+    errorHandlers.forEach(handler => handler(err));
+  }
+
+  window.ProgressStore = {
+    SCHEMA_VERSION,
+    init,
+    get,
+    set,
+    remove,
+    keys,
+    flush,
+    onError,
+    compactCollection,
+    get backend() { return backend; }
+  };
+
+})(window);
@@ -1,32 +1,48 @@
 let cards = [], availableRarities = {};
-const AUTO_REVEAL_RARITIES = ["Common", "Uncommon", "Rare"];
-const SPECIAL_GLOW_RARITIES = [
-  "Double Rare",
-  "Ultra Rare",
-  "Illustration Rare",
-  "Special Illustration Rare",
-  "Hyper Rare"
+let printedTotal = null;
+const CATALOG_URL = "sets/index.json";
+const NORMAL_VARIANT = "Normal";
+
+// Built-in rarities in display order. `regular` counts toward the regular set, `autoReveal`
+// shows the card even in a face-down slot and `glow` is the card's box-shadow ("rainbow" for
+// the animated one). A set can add or override rarities with its own `rarities` list.
+const DEFAULT_RARITIES = [
+  { name: "Common", glow: "0 0 8px rgba(255,255,255,0.15)", regular: true, autoReveal: true },
+  { name: "Uncommon", glow: "0 0 10px rgba(34,197,94,0.5),0 0 20px rgba(34,197,94,0.25)", regular: true, autoReveal: true },
+  { name: "Rare", glow: "0 0 12px rgba(59,130,246,0.7),0 0 25px rgba(59,130,246,0.35)", regular: true, autoReveal: true },
+  { name: "Double Rare", glow: "0 0 14px rgba(147,51,234,0.8),0 0 30px rgba(147,51,234,0.4)", regular: true },
+  { name: "Illustration Rare", glow: "0 0 15px rgba(255,215,0,0.9),0 0 35px rgba(255,215,0,0.6)" },
+  { name: "Ultra Rare", glow: "0 0 16px rgba(236,72,153,0.9),0 0 40px rgba(236,72,153,0.6)" },
+  { name: "Special Illustration Rare", glow: "0 0 18px rgba(255,180,50,1),0 0 45px rgba(255,120,0,0.7)" },
+  { name: "Hyper Rare", glow: "rainbow" }
 ];
+let rarityRegistry = DEFAULT_RARITIES;
 
 /* ---------------- ACTIVE SET & LOCAL STORAGE ---------------- */
-let currentSetName = localStorage.getItem("activeSetName") || "Z-Genesis Melemele";
+// Collections, stats, recent cards and the active set live in ProgressStore (scripts/progress-store.js),
+// which is loaded at boot; small per-set settings stay in localStorage
+let currentSetName = "Z-Genesis Melemele";
 
 function getCollectionKey() { return `collection_${currentSetName}`; }
 function getStatsKey() { return `packStats_${currentSetName}`; }
 
 let stats = { packsOpened: 0, totalCards: 0, rarities: {} };
 let collection = {};
+let pityRules = [];
+let pityEnabled = false;
 
 function loadCollectionAndStats() {
-  stats = JSON.parse(localStorage.getItem(getStatsKey())) || { packsOpened: 0, totalCards: 0, rarities: {} };
-  collection = JSON.parse(localStorage.getItem(getCollectionKey())) || {};
+  stats = ProgressStore.get(getStatsKey()) || { packsOpened: 0, totalCards: 0, rarities: {} };
+  collection = ProgressStore.get(getCollectionKey()) || {};
+  loadPityEnabled();
 }
-loadCollectionAndStats();
 
 let lightbox = null, hoverTimeout = null;
-let recentCards = JSON.parse(localStorage.getItem("recentCards")) || [];
+let recentCards = [];
+const RECENT_CARDS_LIMIT = 20;
 let firstPackOpened = false;
 let lightboxEnabled = false;
+let masterSetNeedsVariants = localStorage.getItem("masterSetNeedsVariants") === "true";
 
 // DOM elements
 const startScreen = document.getElementById("startScreen");
@@ -46,6 +62,7 @@ const loadingDiv = document.getElementById("loading");
 const openPackCenter = document.getElementById("openPackCenter");
 
 const availableSetsDiv = document.getElementById("availableSets");
+const librarySetsDiv = document.getElementById("librarySets");
 const importSetBtn = document.getElementById("importSet");
 const jsonInput = document.getElementById("jsonInput");
 
@@ -53,24 +70,264 @@ const urlInput = document.getElementById("setURL");
 const importURLBtn = document.getElementById("importURLSet");
 
 const collectionFilter = document.getElementById("collectionFilter");
+const toggleSimulatorBtn = document.getElementById("toggleSimulator");
+const simulatorPanel = document.getElementById("simulatorPanel");
+const simTrialsInput = document.getElementById("simTrials");
+const simSeedInput = document.getElementById("simSeed");
+const runSimulationBtn = document.getElementById("runSimulation");
+const simProgressDiv = document.getElementById("simProgress");
+const simResultsDiv = document.getElementById("simResults");
+const toggleOddsBtn = document.getElementById("toggleOdds");
+const oddsPanel = document.getElementById("oddsPanel");
+const oddsPacksInput = document.getElementById("oddsPacks");
+const runOddsBtn = document.getElementById("runOdds");
+const oddsProgressDiv = document.getElementById("oddsProgress");
+const oddsResultsDiv = document.getElementById("oddsResults");
 const recentCardsDiv = document.getElementById("recentCards");
 const toggleRecentCardsBtn = document.getElementById("toggleRecentCards");
 const currentSetDisplay = document.getElementById("currentSetDisplay");
+const packSeedInput = document.getElementById("packSeedInput");
+const packSeedDisplay = document.getElementById("packSeedDisplay");
+const bulkControls = document.getElementById("bulkControls");
+const bulkCountInput = document.getElementById("bulkCount");
+const bulkSummaryDiv = document.getElementById("bulkSummary");
+const openBoxBtn = document.getElementById("openBox");
+const boxStatusDiv = document.getElementById("boxStatus");
+const packBannerDiv = document.getElementById("packBanner");
+const setReportDiv = document.getElementById("setReport");
+const setReportToggleBtn = document.getElementById("setReportToggle");
+const exportSetZipBtn = document.getElementById("exportSetZip");
+const brokenImagesToggleBtn = document.getElementById("brokenImagesToggle");
+const brokenImagesDiv = document.getElementById("brokenImages");
+const exportBackupBtn = document.getElementById("exportBackup");
+const importBackupBtn = document.getElementById("importBackup");
+const backupInput = document.getElementById("backupInput");
+const backupImportDiv = document.getElementById("backupImport");
+const offlineStatusDiv = document.getElementById("offlineStatus");
+const storageUsageSpan = document.getElementById("storageUsage");
+const clearOfflineDataBtn = document.getElementById("clearOfflineData");
+const setUpdateDiv = document.getElementById("setUpdate");
+const setBuilderPage = document.getElementById("setBuilderPage");
+const openSetBuilderBtn = document.getElementById("openSetBuilder");
+const builderBackBtn = document.getElementById("builderBack");
+const builderSetNameInput = document.getElementById("builderSetName");
+const builderBaseUrlInput = document.getElementById("builderBaseUrl");
+const builderPickFolderBtn = document.getElementById("builderPickFolder");
+const builderFolderInput = document.getElementById("builderFolderInput");
+const builderUrlList = document.getElementById("builderUrlList");
+const builderAddUrlsBtn = document.getElementById("builderAddUrls");
+const builderSummarySpan = document.getElementById("builderSummary");
+const builderSelectAllBtn = document.getElementById("builderSelectAll");
+const builderBulkRarity = document.getElementById("builderBulkRarity");
+const builderApplyRarityBtn = document.getElementById("builderApplyRarity");
+const builderClearBtn = document.getElementById("builderClear");
+const builderExportBtn = document.getElementById("builderExport");
+const builderLoadBtn = document.getElementById("builderLoad");
+const builderGrid = document.getElementById("builderGrid");
+const setEditorPage = document.getElementById("setEditorPage");
+const openSetEditorBtn = document.getElementById("openSetEditor");
+const editorBackBtn = document.getElementById("editorBack");
+const editorSetSelect = document.getElementById("editorSetSelect");
+const editorLoadBtn = document.getElementById("editorLoad");
+const editorSaveBtn = document.getElementById("editorSave");
+const editorExportBtn = document.getElementById("editorExport");
+const editorStatusSpan = document.getElementById("editorStatus");
+const editorBulkField = document.getElementById("editorBulkField");
+const editorBulkValue = document.getElementById("editorBulkValue");
+const editorBulkFrom = document.getElementById("editorBulkFrom");
+const editorBulkTo = document.getElementById("editorBulkTo");
+const editorBulkApplyBtn = document.getElementById("editorBulkApply");
+const editorCardList = document.getElementById("editorCardList");
+const editorCardForm = document.getElementById("editorCardForm");
+
+/* ---------------- CARD NUMBERS ---------------- */
+// Numbers can carry a subset prefix ("TG05", "SV-P 012", "GG44"), a letter suffix ("138a")
+// and a printed total ("091/070"). Main-set cards numbered above the total are secret rares.
+function parseCardNumber(number) {
+  const raw = String(number === undefined || number === null ? "" : number).trim();
+  const match = raw.match(/^(.*?)(\d+)([a-z]*)(?:\s*\/\s*\D*?(\d+))?$/i);
+  if (!match) return { raw, prefix: raw.toUpperCase(), value: null, suffix: "", total: null };
+  return {
+    raw,
+    prefix: match[1].replace(/[\s-]+$/, "").toUpperCase(),
+    value: parseInt(match[2], 10),
+    suffix: match[3].toLowerCase(),
+    total: match[4] ? parseInt(match[4], 10) : null
+  };
+}
+
+// Same card number however it is written: "091/070", "91" and "091" all give "91"
+function getCardNumberKey(number) {
+  const n = parseCardNumber(number);
+  return n.value === null ? n.raw.toUpperCase() : `${n.prefix}${n.value}${n.suffix}`;
+}
+
+// Main set first, then each subset by prefix; unparseable numbers go last
+function compareCardNumbers(a, b) {
+  const na = parseCardNumber(a), nb = parseCardNumber(b);
+  if ((na.value === null) !== (nb.value === null)) return na.value === null ? 1 : -1;
+  if (na.value === null) return na.raw.localeCompare(nb.raw);
+  if (na.prefix !== nb.prefix) {
+    if (!na.prefix || !nb.prefix) return na.prefix ? 1 : -1;
+    return na.prefix.localeCompare(nb.prefix);
+  }
+  return na.value - nb.value || na.suffix.localeCompare(nb.suffix);
+}
+
+// The set's `printedTotal`, else the most common total written on main-set numbers, else the
+// total in "<number>-<total>-<name>.png" image names
+function resolvePrintedTotal(setTotal) {
+  if (parseInt(setTotal, 10) > 0) return parseInt(setTotal, 10);
+
+  const counts = {};
+  const tally = total => { if (total > 0) counts[total] = (counts[total] || 0) + 1; };
+  cards.forEach(c => {
+    const n = parseCardNumber(c.number);
+    if (!n.prefix) tally(n.total);
+  });
+  if (!Object.keys(counts).length) {
+    cards.forEach(c => {
+      const match = String(c.image || "").match(/\/\d+-(\d+)-[^/]*$/);
+      if (match) tally(parseInt(match[1], 10));
+    });
+  }
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return best ? parseInt(best[0], 10) : null;
+}
+
+function isSecretRare(card) {
+  const n = parseCardNumber(card.number);
+  const total = n.total || printedTotal;
+  return !n.prefix && n.value !== null && total > 0 && n.value > total;
+}
+
+// "91" with a printed total of 70 shows as "091/070"; subset numbers are shown as written
+function formatCardNumber(card) {
+  const n = parseCardNumber(card.number);
+  const total = n.total || printedTotal;
+  if (n.value === null || n.prefix || !total) return n.raw;
+  const width = Math.max(3, String(total).length);
+  return `${String(n.value).padStart(width, "0")}${n.suffix}/${String(total).padStart(width, "0")}`;
+}
 
+// Size of the main set, used to pick the built-in pack layout: the printed total when known,
+// otherwise the highest main-set number. Subset cards don't count.
 function getMaxSetNumber() {
   if (!cards || !cards.length) return 0;
+  if (printedTotal) return printedTotal;
   let max = 0;
   cards.forEach(c => {
-    const numStr = String(c.number || "");
-    const match = numStr.match(/\d+/);
-    if (match) {
-      const num = parseInt(match[0], 10);
-      if (num > max) max = num;
-    }
+    const n = parseCardNumber(c.number);
+    if (!n.prefix && n.value > max) max = n.value;
   });
   return max;
 }
 
+/* ---------------- CARD IMAGES ---------------- */
+const PRELOAD_TIMEOUT = 6000;
+const PACK_SHUFFLE_MIN_MS = 350;
+const imagePreloads = new Map();     // image url -> Promise<true | false | null>
+const imageOrientations = new Map(); // image url -> true for landscape images
+const failedImageUrls = new Set();
+let packRevealToken = 0;
+
+// Image fields tried for each use, in order; grid tiles and packs use "small", the lightbox "large"
+const IMAGE_SOURCE_ORDER = {
+  small: ["images.small", "image", "imageUrl", "images.large"],
+  large: ["images.large", "imageUrl", "image", "images.small"]
+};
+
+function getCardImageSources(card, size = "small") {
+  if (!card) return [];
+  const fields = {
+    "images.small": card.images && card.images.small,
+    "images.large": card.images && card.images.large,
+    image: card.image,
+    imageUrl: card.imageUrl
+  };
+  const urls = IMAGE_SOURCE_ORDER[size].map(field => fields[field]).filter(url => typeof url === "string" && url);
+  return [...new Set(urls)];
+}
+
+function getCardImage(card, size = "small") {
+  return getCardImageSources(card, size)[0] || "cardback.png";
+}
+
+// Shows the first source of `card` that loads, skipping ones already known to fail. When
+// none load the card back is shown and the card goes into the broken image report
+function setCardImage(img, card, size = "small") {
+  const sources = getCardImageSources(card, size).filter(url => !failedImageUrls.has(url));
+  let index = 0;
+  img.onload = () => {
+    img.onload = null;
+    if (index < sources.length) clearBrokenImage(card);
+  };
+  img.onerror = () => {
+    if (index < sources.length) failedImageUrls.add(sources[index]);
+    index++;
+    if (index < sources.length) {
+      img.src = sources[index];
+      return;
+    }
+    img.onerror = null;
+    img.src = "cardback.png";
+    recordBrokenImage(card, getCardImageSources(card, size));
+  };
+  if (sources.length) {
+    img.src = sources[0];
+  } else {
+    index = 1;
+    img.onerror = null;
+    img.src = "cardback.png";
+    recordBrokenImage(card, getCardImageSources(card, size));
+  }
+}
+
+function recordImageOrientation(url, img) {
+  if (img.naturalWidth && img.naturalHeight) imageOrientations.set(url, img.naturalWidth > img.naturalHeight);
+}
+
+// Loads and decodes an image so it can be shown without popping in. Resolves true once
+// decoded, false when it fails and null after PRELOAD_TIMEOUT (it keeps loading in the background)
+function preloadImage(url) {
+  if (!url) return Promise.resolve(false);
+  if (imagePreloads.has(url)) return imagePreloads.get(url);
+  const load = new Promise(resolve => {
+    const img = new Image();
+    const timer = setTimeout(() => resolve(null), PRELOAD_TIMEOUT);
+    img.onload = () => {
+      recordImageOrientation(url, img);
+      const decoded = img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+      decoded.then(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    };
+    img.onerror = () => {
+      clearTimeout(timer);
+      failedImageUrls.add(url);
+      imagePreloads.delete(url); // allow a retry later
+      resolve(false);
+    };
+    img.src = url;
+  });
+  imagePreloads.set(url, load);
+  return load;
+}
+
+// Preloads the card's image, moving on to the next source only when one fails (a slow
+// source is kept). Resolves with the URL to show, or null when every source failed
+function preloadCardImage(card, size = "small") {
+  const sources = getCardImageSources(card, size).filter(url => !failedImageUrls.has(url));
+  const tryFrom = i => i >= sources.length
+    ? Promise.resolve(null)
+    : preloadImage(sources[i]).then(result => result === false ? tryFrom(i + 1) : sources[i]);
+  return tryFrom(0).then(url => {
+    if (!url) recordBrokenImage(card, getCardImageSources(card, size));
+    return url;
+  });
+}
+
 // Recalculates grid columns whenever a landscape card loads
 function updatePackSlotCount() {
   const pack = document.getElementById("pack");
@@ -83,38 +340,156 @@ function updatePackSlotCount() {
   pack.style.setProperty("--pack-slots", totalSlots || 5);
 }
 
-// Pre-detects if a card image is horizontal and adds .horizontal to the card div
-function applyCardOrientation(cardData, cardDiv) {
-  if (!cardData || !cardData.image) return;
-  const img = new Image();
-  img.src = cardData.image;
-  img.onload = () => {
-    if (img.naturalWidth > img.naturalHeight) {
-      cardDiv.classList.add("horizontal");
-      updatePackSlotCount();
-    }
+// Adds .horizontal to the card div for landscape images. Orientation is measured once per
+// image and cached: from `img` when the tile's own image loads, otherwise with a preload
+function applyCardOrientation(cardData, cardDiv, img = null) {
+  const sources = getCardImageSources(cardData);
+  if (!sources.length) return;
+  const measured = () => sources.find(url => imageOrientations.has(url));
+  const apply = () => {
+    if (!imageOrientations.get(measured())) return;
+    cardDiv.classList.add("horizontal");
+    updatePackSlotCount();
   };
+  if (measured()) return apply();
+  if (!img) return preloadCardImage(cardData).then(apply);
+  img.addEventListener("load", () => {
+    // after errors the tile shows cardback.png, which says nothing about the card
+    const src = img.getAttribute("src");
+    if (!sources.includes(src)) return;
+    recordImageOrientation(src, img);
+    apply();
+  }, { once: true });
 }
 
 /* ---------------- STATS & COLLECTION ---------------- */
-function saveStats() { localStorage.setItem(getStatsKey(), JSON.stringify(stats)); }
-function saveCollection() { localStorage.setItem(getCollectionKey(), JSON.stringify(collection)); }
+function saveStats() { ProgressStore.set(getStatsKey(), stats); }
+function saveCollection() { ProgressStore.set(getCollectionKey(), collection); }
+
+// Cards are identified by their set-file `id`; `name_number` is only used for cards without one
+function getCardId(c) { return c ? (c.id || `${c.name}_${c.number}`) : null; }
+function getLegacyCardKey(c) { return `${c.name}_${c.number}`; }
+
+// Collection entries only keep what identifies the card (plus `count` and the per-variant
+// `variantCounts`); the rest comes from the set. The card's own `variants` list is not copied.
+function toOwnershipRecord(c) {
+  const record = { name: c.name, number: c.number, rarity: c.rarity };
+  if (c.id) record.id = c.id;
+  return record;
+}
+
+let unmatchedCollectionEntries = [];
+
+function mergeCollectionEntries(target, source) {
+  const variantCounts = { ...(target.variantCounts || { [NORMAL_VARIANT]: target.count || 0 }) };
+  Object.entries(source.variantCounts || { [NORMAL_VARIANT]: source.count || 0 }).forEach(([variant, n]) => {
+    variantCounts[variant] = (variantCounts[variant] || 0) + n;
+  });
+  return { ...target, count: (target.count || 0) + (source.count || 0), variantCounts };
+}
+
+// Re-keys collection entries saved under `name_number` (or a stale key) to the card id.
+// Entries match by their stored `id` first, then by a unique `name_number`; anything else
+// is kept as is and listed in `unmatchedCollectionEntries`.
+function migrateCollectionKeys() {
+  unmatchedCollectionEntries = [];
+  if (!cards.length) return;
+
+  const byId = new Map(cards.map(c => [getCardId(c), c]));
+  const byLegacyKey = new Map();
+  cards.forEach(c => {
+    const key = getLegacyCardKey(c);
+    byLegacyKey.set(key, byLegacyKey.has(key) ? null : c); // null marks an ambiguous key
+  });
+
+  let changed = false;
+  const migrated = {};
+  Object.entries(collection).forEach(([key, entry]) => {
+    let card = byId.get(key) || (entry.id && byId.get(entry.id));
+    if (!card && byLegacyKey.get(key)) card = byLegacyKey.get(key);
+
+    if (!card) {
+      unmatchedCollectionEntries.push({ key, name: entry.name || key, count: entry.count || 0, ambiguous: byLegacyKey.get(key) === null });
+      migrated[key] = entry;
+      return;
+    }
+
+    const id = getCardId(card);
+    if (id !== key) changed = true;
+    migrated[id] = migrated[id] ? mergeCollectionEntries(migrated[id], entry) : entry;
+  });
+
+  collection = migrated;
+  if (changed) saveCollection();
+}
 
 function updateStatsDisplay() {
   let html = `<h3>Set: ${currentSetName}</h3>
               <h3>Packs Opened: ${stats.packsOpened}</h3>
               <h3>Total cards: ${stats.totalCards}</h3><ul>`;
-  ["Common", "Uncommon", "Rare", "Double Rare", "Illustration Rare", "Ultra Rare", "Special Illustration Rare", "Hyper Rare"]
-    .forEach(r => html += `<li>${r}: ${stats.rarities[r] || 0}</li>`);
+  const statRarities = getRarityNames();
+  Object.keys(stats.rarities).forEach(r => { if (!statRarities.includes(r)) statRarities.push(r); });
+  statRarities.forEach(r => html += `<li>${r}: ${stats.rarities[r] || 0}</li>`);
   html += "</ul>";
+
+  const specialTypes = new Set([
+    ...((packLayout && packLayout.specialPacks) || []).map(p => p.name),
+    ...Object.keys(stats.specialPacks || {})
+  ]);
+  if (specialTypes.size) {
+    html += "<h4>Special packs</h4><ul>";
+    specialTypes.forEach(name => html += `<li>${name}: ${(stats.specialPacks || {})[name] || 0}</li>`);
+    html += "</ul>";
+  }
+
+  html += `<div class="pity-stats"><label><input type="checkbox" id="pityToggle"${pityEnabled ? " checked" : ""}> Bad-luck protection</label><ul>`;
+  pityRules.forEach(rule => {
+    const since = (stats.pity || {})[getPityRuleId(rule)] || 0;
+    html += `<li>${rule.rarities.join(" / ")}: ${since} of ${rule.packs} packs without one</li>`;
+  });
+  html += "</ul></div>";
+  if (unmatchedCollectionEntries.length) {
+    html += `<div class="unmatched-entries"><h4>${unmatchedCollectionEntries.length} saved entries match no card in this set</h4><ul>`;
+    unmatchedCollectionEntries.forEach(e => html += `<li>${e.name} ×${e.count}${e.ambiguous ? " (several cards share this name and number)" : ""}</li>`);
+    html += "</ul></div>";
+  }
+  html += `<label class="master-variants"><input type="checkbox" id="masterVariantsToggle"${masterSetNeedsVariants ? " checked" : ""}> Master Set requires every variant</label>`;
   statsDiv.innerHTML = html;
 
-  const regularRarities = ["Common", "Uncommon", "Rare", "Double Rare"];
-  const regularMax = cards.filter(c => regularRarities.includes(c.rarity)).length;
-  const regularCollected = Object.values(collection).filter(c => c.count > 0 && regularRarities.includes(c.rarity)).length;
+  const masterVariantsToggle = document.getElementById("masterVariantsToggle");
+  if (masterVariantsToggle) {
+    masterVariantsToggle.onchange = () => {
+      masterSetNeedsVariants = masterVariantsToggle.checked;
+      localStorage.setItem("masterSetNeedsVariants", String(masterSetNeedsVariants));
+      updateStatsDisplay();
+    };
+  }
+
+  const pityToggle = document.getElementById("pityToggle");
+  if (pityToggle) {
+    pityToggle.onchange = () => {
+      pityEnabled = pityToggle.checked;
+      localStorage.setItem(getPityEnabledKey(), String(pityEnabled));
+    };
+  }
 
-  const masterMax = cards.length;
-  const masterCollected = Object.values(collection).filter(c => c.count > 0).length;
+  const ownedCards = cards.filter(c => collection[getCardId(c)] && collection[getCardId(c)].count > 0);
+  const regularMax = cards.filter(c => isRegularRarity(c.rarity)).length;
+  const regularCollected = ownedCards.filter(c => isRegularRarity(c.rarity)).length;
+
+  let masterMax = cards.length;
+  let masterCollected = ownedCards.length;
+  if (masterSetNeedsVariants) {
+    masterMax = 0;
+    masterCollected = 0;
+    cards.forEach(c => {
+      const entry = collection[getCardId(c)];
+      getCardVariants(c).forEach(variant => {
+        masterMax++;
+        if (getVariantCount(entry, variant) > 0) masterCollected++;
+      });
+    });
+  }
 
   const regularProgress = regularMax > 0 ? (regularCollected / regularMax) * 100 : 0;
   const masterProgress = masterMax > 0 ? (masterCollected / masterMax) * 100 : 0;
@@ -130,25 +505,28 @@ function renderSetTabs() {
   if (!container) return;
   container.innerHTML = "";
 
-  const knownSets = new Set(["Z-Genesis Melemele", "Z-Genesis Akala"]);
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key.startsWith("collection_")) {
-      knownSets.add(key.replace("collection_", ""));
-    }
-  }
+  const knownSets = new Set([...setCatalog.map(entry => entry.name), ...libraryEntries.map(entry => entry.name)]);
+  ProgressStore.keys("collection_").forEach(key => knownSets.add(key.replace("collection_", "")));
 
   knownSets.forEach(setName => {
     const btn = document.createElement("button");
     btn.textContent = setName;
     if (setName === currentSetName) btn.classList.add("active-set");
 
+    const catalogEntry = findCatalogEntry(setName);
+    if (catalogEntry && catalogEntry.missing) {
+      btn.disabled = true;
+      btn.title = `${catalogEntry.path} is listed in ${CATALOG_URL} but was not found`;
+    }
+
     btn.onclick = () => {
-      if (setName.startsWith("Z-Genesis")) {
-        loadSet(`sets/${setName}.json`, setName);
+      if (catalogEntry) {
+        loadSet(catalogEntry.path, catalogEntry.name);
+      } else if (findLibraryEntry(setName)) {
+        loadLibrarySet(setName);
       } else {
         currentSetName = setName;
-        localStorage.setItem("activeSetName", setName);
+        ProgressStore.set("activeSetName", setName);
         loadCollectionAndStats();
         updateStatsDisplay();
         renderCollection(collectionFilter.value || null);
@@ -160,50 +538,199 @@ function renderSetTabs() {
   });
 }
 
-function renderCollection(filterRarity = null) {
+// One badge per variant the card can be pulled as, lit when at least one copy is owned
+function renderVariantBadges(c) {
+  const badges = document.createElement("div");
+  badges.className = "variant-badges";
+  const entry = { count: c.count || 0, variantCounts: c.variantCounts };
+  const variants = new Set([...(c.possibleVariants || getCardVariants(c)), ...Object.keys(c.variantCounts || {})]);
+  if (variants.size <= 1) return badges;
+
+  variants.forEach(variant => {
+    const owned = getVariantCount(entry, variant);
+    const badge = document.createElement("span");
+    badge.className = `variant-badge${owned > 0 ? " owned" : ""}`;
+    badge.title = `${variant}: ${owned}`;
+    badge.textContent = owned > 1 ? `${getVariantAbbreviation(variant)} ×${owned}` : getVariantAbbreviation(variant);
+    badges.appendChild(badge);
+  });
+  return badges;
+}
+
+// The grid is built once per set. Later calls only update tiles whose counts changed, and
+// the rarity filter just hides tiles. Calls made while the page is hidden wait until it is shown
+let collectionGrid = null;          // { cards, tiles: [{ id, entry, div, signature }] }
+let collectionVisibleEntries = [];  // entries of the shown tiles, in grid order (for the lightbox)
+let collectionRenderPending = false;
+let collectionFilterRarity = null;
+
+function isCollectionVisible() {
+  return collectionPage && !collectionPage.classList.contains("hidden");
+}
+
+function getCollectionEntry(c) {
+  const owned = collection[getCardId(c)];
+  return { ...c, count: owned ? owned.count : 0, variantCounts: owned && owned.variantCounts, possibleVariants: c.possibleVariants || getCardVariants(c) };
+}
+
+function getTileSignature(entry) {
+  return `${entry.count || 0}|${JSON.stringify(entry.variantCounts || {})}`;
+}
+
+function updateCollectionTile(tile, entry) {
+  const signature = getTileSignature(entry);
+  tile.entry = entry;
+  if (signature === tile.signature) return;
+  tile.signature = signature;
+  const count = entry.count || 0;
+  tile.div.style.filter = count === 0 ? "grayscale(100%) opacity(0.4)" : "";
+  tile.div.querySelector(".card-count").textContent = `×${count}`;
+  tile.div.querySelector(".variant-badges").replaceWith(renderVariantBadges(entry));
+}
+
+function buildCollectionGrid() {
   collectionDiv.innerHTML = "";
-  
-  let listToRender = [];
-  if (cards && cards.length > 0) {
-    cards.forEach(c => {
-      const key = `${c.name}_${c.number}`;
-      const owned = collection[key];
-      const count = owned ? owned.count : 0;
-      listToRender.push({ ...c, count });
-    });
+  const entries = cards && cards.length > 0 ? cards.map(getCollectionEntry) : Object.values(collection);
+  entries.sort((a, b) => compareCardNumbers(a.number, b.number));
+
+  collectionGrid = {
+    cards,
+    tiles: entries.map(entry => {
+      const div = document.createElement("div");
+      div.className = `card ${getRarityClass(entry.rarity)} show`;
+      if (lightbox) div.style.cursor = "pointer";
+
+      // Images load as their tiles scroll into view
+      const numberLabel = entry.number !== undefined && entry.number !== "" ? `<span class="card-number${isSecretRare(entry) ? " secret" : ""}">${formatCardNumber(entry)}</span> ` : "";
+      div.innerHTML = `<img loading="lazy" decoding="async" alt=""><div>${numberLabel}${entry.name} <span class="card-count"></span></div><div class="variant-badges"></div>`;
+      const img = div.querySelector("img");
+      setCardImage(img, entry);
+      applyCardOrientation(entry, div, img);
+
+      const tile = { id: getCardId(entry), entry, div, signature: null };
+      updateCollectionTile(tile, entry);
+      collectionDiv.appendChild(div);
+      return tile;
+    })
+  };
+}
+
+function applyCollectionFilter() {
+  collectionVisibleEntries = [];
+  collectionGrid.tiles.forEach(tile => {
+    const shown = !collectionFilterRarity || tile.entry.rarity === collectionFilterRarity;
+    tile.div.classList.toggle("hidden", !shown);
+    if (shown) {
+      tile.div.dataset.cardIndex = collectionVisibleEntries.length;
+      collectionVisibleEntries.push(tile.entry);
+    } else {
+      delete tile.div.dataset.cardIndex;
+    }
+  });
+}
+
+function renderCollection(filterRarity = null) {
+  collectionFilterRarity = filterRarity;
+  if (!isCollectionVisible()) {
+    collectionRenderPending = true;
+    return;
+  }
+  collectionRenderPending = false;
+
+  // Without set cards the grid lists whatever is in the collection, so it is rebuilt each time
+  if (!collectionGrid || collectionGrid.cards !== cards || !cards.length) {
+    buildCollectionGrid();
   } else {
-    listToRender = Object.values(collection);
+    collectionGrid.tiles.forEach(tile => updateCollectionTile(tile, getCollectionEntry(tile.entry)));
   }
+  applyCollectionFilter();
+}
 
-  if (filterRarity) listToRender = listToRender.filter(c => c.rarity === filterRarity);
+/* ---------------- RARITY REGISTRY ---------------- */
+// A set's `rarities` entries override built-in ones by name or add new ones, placed after the
+// rarity named in `after` (or at the end). Rarities only found on cards are appended unstyled.
+function normalizeRarityRegistry(setRarities) {
+  if (!Array.isArray(setRarities)) throw new Error("rarities must be a list");
+  const registry = DEFAULT_RARITIES.map(r => ({ ...r }));
 
-  listToRender.sort((a, b) => {
-    const ma = (a.number || "").toString().match(/^(\d+)([a-z]?)$/i);
-    const mb = (b.number || "").toString().match(/^(\d+)([a-z]?)$/i);
-    if (!ma || !mb) return 0;
-    const na = parseInt(ma[1]), nb = parseInt(mb[1]);
-    const la = ma[2] || '', lb = mb[2] || '';
-    if (na !== nb) return na - nb;
-    if (la < lb) return -1;
-    if (la > lb) return 1;
-    return 0;
-  });
+  setRarities.forEach((entry, i) => {
+    if (!entry || typeof entry.name !== "string" || !entry.name.trim()) throw new Error(`rarity ${i + 1} needs a "name"`);
+    if (entry.rareSlotWeight !== undefined && !(entry.rareSlotWeight >= 0)) {
+      throw new Error(`rarity "${entry.name}" needs a non-negative rareSlotWeight`);
+    }
+    if ([entry.glow, entry.color].some(v => v !== undefined && (typeof v !== "string" || /[{};<]/.test(v)))) {
+      throw new Error(`rarity "${entry.name}" has an invalid glow or color`);
+    }
 
-  listToRender.forEach((c, i) => {
-    const div = document.createElement("div");
-    const count = c.count || 0;
-    div.className = `card rarity-${(c.rarity || 'Common').replace(/\s+/g, '-')} show`;
-    
-    applyCardOrientation(c, div);
+    const existingIndex = registry.findIndex(r => r.name === entry.name);
+    const merged = { ...(existingIndex >= 0 ? registry[existingIndex] : {}), ...entry };
+    if (existingIndex >= 0) registry.splice(existingIndex, 1);
+
+    let index = existingIndex >= 0 ? existingIndex : registry.length;
+    if (entry.after) {
+      const afterIndex = registry.findIndex(r => r.name === entry.after);
+      if (afterIndex < 0) throw new Error(`rarity "${entry.name}" comes after unknown rarity "${entry.after}"`);
+      index = afterIndex + 1;
+    }
+    registry.splice(index, 0, merged);
+  });
+  return registry;
+}
 
-    if (count === 0) {
-      div.style.filter = "grayscale(100%) opacity(0.4)";
+function resolveRarityRegistry(setRarities) {
+  let registry = DEFAULT_RARITIES;
+  if (setRarities) {
+    try {
+      registry = normalizeRarityRegistry(setRarities);
+    } catch (err) {
+      alert(`Invalid rarities in set file (${err.message}). Using the built-in rarities.`);
     }
+  }
+  const known = new Set(registry.map(r => r.name));
+  const extra = [...new Set(cards.map(c => c.rarity).filter(r => r && !known.has(r)))];
+  return extra.length ? [...registry, ...extra.map(name => ({ name }))] : registry;
+}
+
+function getRarityNames() { return rarityRegistry.map(r => r.name); }
+
+function getRarityRank(name) {
+  const index = rarityRegistry.findIndex(r => r.name === name);
+  return index >= 0 ? index + 1 : rarityRegistry.length + 1;
+}
+
+function isRegularRarity(name) { return rarityRegistry.some(r => r.name === name && r.regular); }
+function isAutoRevealRarity(name) { return rarityRegistry.some(r => r.name === name && r.autoReveal); }
+
+function getRarityClass(name) { return `rarity-${String(name || "Common").replace(/[^A-Za-z0-9]+/g, "-")}`; }
+
+function getRarityGlowCss(rarity) {
+  if (rarity.glow === "rainbow") return "animation: rainbowGlow 3s linear infinite;";
+  if (rarity.glow) return `box-shadow: ${rarity.glow};`;
+  if (rarity.color) return `box-shadow: 0 0 14px ${rarity.color},0 0 30px ${rarity.color};`;
+  return "box-shadow: 0 0 8px rgba(255,255,255,0.15);";
+}
+
+// Writes one `.rarity-*` rule per registered rarity
+function applyRarityStyles() {
+  let styleEl = document.getElementById("rarityStyles");
+  if (!styleEl) {
+    styleEl = document.createElement("style");
+    styleEl.id = "rarityStyles";
+    document.head.appendChild(styleEl);
+  }
+  styleEl.textContent = rarityRegistry.map(r => `.${getRarityClass(r.name)} { ${getRarityGlowCss(r)} }`).join("\n");
+}
 
-    div.innerHTML = `<img src="${c.image || 'cardback.png'}" onerror="this.src='cardback.png'"><div>${c.name} ×${count}</div>`;
-    collectionDiv.appendChild(div);
-    attachLightboxHandlers(div, c, listToRender, i);
+function renderRarityFilter() {
+  if (!collectionFilter) return;
+  const selected = collectionFilter.value;
+  collectionFilter.innerHTML = `<option value="">All</option>`;
+  rarityRegistry.forEach(r => {
+    const option = document.createElement("option");
+    option.value = option.textContent = r.name;
+    collectionFilter.appendChild(option);
   });
+  collectionFilter.value = rarityRegistry.some(r => r.name === selected) ? selected : "";
 }
 
 /* ---------------- LOAD SET ---------------- */
@@ -212,31 +739,95 @@ function buildAvailableRarities() {
   cards.forEach(c => { if (!availableRarities[c.rarity]) availableRarities[c.rarity] = []; availableRarities[c.rarity].push(c); });
 }
 
-function loadSet(fileOrJSON, explicitSetName = null) {
+// `options.onLoaded(data, setName)` runs once the set is active (used to store imports);
+// `options.reviewUpdate` diffs the cards against the stored version before switching to it;
+// `options.libraryImport` asks for another name when the set's clashes with a bundled set
+function loadSet(fileOrJSON, explicitSetName = null, options = {}) {
   if (loadingDiv) loadingDiv.style.display = "block";
 
+  const failLoad = (message, nameFromData) => {
+    if (loadingDiv) loadingDiv.style.display = "none";
+    showSetReport({ setName: explicitSetName || nameFromData || "Custom Set", errors: [{ message, card: null }], warnings: [] });
+  };
+
+  // Images from ZIP bundles are stored as local refs; cards get blob: URLs while the
+  // original data (with refs) is what gets saved and exported
   const onSetLoaded = (data, nameFromData) => {
+    if (!hasLocalImageRefs(data)) return checkSet(data, data, nameFromData);
+    resolveLocalImages(data).then(resolved => checkSet(resolved, data, nameFromData));
+  };
+
+  const checkSet = (data, original, nameFromData) => {
+    const report = validateSetData(data);
+    report.setName = explicitSetName || nameFromData || "Custom Set";
+    if (report.errors.length) {
+      if (loadingDiv) loadingDiv.style.display = "none";
+      showSetReport(report);
+      return;
+    }
+    // A library set named like a bundled one would share its collection and tab
+    if (options.libraryImport && findCatalogEntry(report.setName)) {
+      const newName = (prompt(`"${report.setName}" is the name of a bundled set. Save the import as:`, `${report.setName} (imported)`) || "").trim();
+      const clash = newName && findCatalogEntry(newName);
+      if (!newName || clash) {
+        if (loadingDiv) loadingDiv.style.display = "none";
+        if (clash) alert(`"${newName}" is the name of a bundled set`);
+        return;
+      }
+      explicitSetName = report.setName = newName;
+    }
+    if (!options.reviewUpdate) return activateSet(data, original, nameFromData, report);
+
+    reviewSetUpdate(report.setName, Array.isArray(data) ? data : data.data).then(proceed => {
+      if (proceed) activateSet(data, original, nameFromData, report);
+      else if (loadingDiv) loadingDiv.style.display = "none";
+    }).catch(err => {
+      alert(`Failed to load set: ${err.message || err}`);
+      if (loadingDiv) loadingDiv.style.display = "none";
+    });
+  };
+
+  const activateSet = (data, original, nameFromData, report) => {
     cards = Array.isArray(data) ? data : (data ? data.data || [] : []);
+    currentSetData = original;
+    printedTotal = resolvePrintedTotal(data && !Array.isArray(data) ? data.printedTotal : null);
+    rarityRegistry = resolveRarityRegistry(data && !Array.isArray(data) ? data.rarities : null);
+    applyRarityStyles();
+    renderRarityFilter();
     buildAvailableRarities();
+    setHasReverseHolos = !!(data && !Array.isArray(data) && data.reverseHolos === true);
+    packLayout = resolvePackLayout(data && !Array.isArray(data) ? data.packLayout : null);
+    boosterBoxConfig = resolveBoosterBox(data && !Array.isArray(data) ? data.boosterBox : null);
+    pityRules = resolvePityRules(data && !Array.isArray(data) ? data.pity : null);
+    report.warnings.push(...findUnproducibleRarities(packLayout));
 
     currentSetName = explicitSetName || nameFromData || "Custom Set";
-    localStorage.setItem("activeSetName", currentSetName);
+    ProgressStore.set("activeSetName", currentSetName);
     if (currentSetDisplay) currentSetDisplay.textContent = currentSetName;
+    if (exportSetZipBtn) exportSetZipBtn.classList.remove("hidden");
 
     loadCollectionAndStats();
+    migrateCollectionKeys();
+    restoreBoosterBox();
     updateStatsDisplay();
     renderCollection(collectionFilter ? collectionFilter.value : null);
     renderSetTabs();
 
     if (loadingDiv) loadingDiv.style.display = "none";
     openPackBtn.disabled = false;
+    cancelPackReveal();
     packDiv.innerHTML = "";
+    if (bulkSummaryDiv) bulkSummaryDiv.innerHTML = "";
+    showSpecialPack(null);
     firstPackOpened = false;
     if (openPackCenter) openPackCenter.classList.remove("hidden");
     if (openPackBtn.parentElement !== openPackCenter && openPackCenter) {
       openPackCenter.appendChild(openPackBtn);
     }
     showScreen(openPackPage);
+    setReport = shownSetReport = report;
+    renderSetReport();
+    if (options.onLoaded) options.onLoaded(original, currentSetName);
   };
 
   if (typeof fileOrJSON === "string") {
@@ -244,250 +835,2953 @@ function loadSet(fileOrJSON, explicitSetName = null) {
     const isJsonString = trimmed.startsWith('{') || trimmed.startsWith('[');
 
     if (isJsonString) {
+      let j;
       try {
-        const j = JSON.parse(fileOrJSON);
-        onSetLoaded(j.data || j, j.name);
-      } catch {
-        if (loadingDiv) loadingDiv.style.display = "none";
-        alert("Invalid JSON");
+        j = JSON.parse(fileOrJSON);
+      } catch (err) {
+        return failLoad(`Invalid JSON: ${err.message}`);
       }
+      onSetLoaded(j, j && j.name);
     } else {
       const isLocalPath = fileOrJSON.startsWith('sets/') || fileOrJSON.startsWith('./') || (!fileOrJSON.startsWith('http://') && !fileOrJSON.startsWith('https://') && !fileOrJSON.startsWith('//'));
       const fetchFn = (!isLocalPath && typeof URLResolver !== 'undefined' && URLResolver.importJson)
-        ? (url) => URLResolver.importJson(url)
+        ? (url) => URLResolver.importJson(url, { storeImage: createBundleImageStore() })
         : (url) => fetch(url).then(r => r.json());
 
       fetchFn(fileOrJSON).then(j => {
-        const inferredName = explicitSetName || fileOrJSON.replace(/^sets\//, '').replace(/\.json$/, '');
-        onSetLoaded(j.data || j, j.name || inferredName);
-      }).catch(err => {
-        if (loadingDiv) loadingDiv.style.display = "none";
-        alert(`Failed to load set: ${err.message || err}`);
-      });
+        const inferredName = explicitSetName || (isLocalPath
+          ? fileOrJSON.replace(/^sets\//, '').replace(/\.(json|zip)$/i, '')
+          : getSetNameFromUrl(fileOrJSON));
+        onSetLoaded(j, (j && j.name) || inferredName);
+      }).catch(err => failLoad(`Failed to load set: ${err.message || err}`));
     }
   } else {
-    try {
-      onSetLoaded(fileOrJSON.data || fileOrJSON, fileOrJSON.name);
-    } catch { alert("Invalid JSON"); }
+    onSetLoaded(fileOrJSON, fileOrJSON && fileOrJSON.name);
   }
 }
 
-/* ---------------- HELPERS ---------------- */
-function randomFrom(arr) { if (!arr || !arr.length) return null; return arr[Math.floor(Math.random() * arr.length)]; }
-function getByRarity(r) { return availableRarities[r] || []; }
-function weightedRoll(table) { const f = table.filter(e => getByRarity(e.rarity).length); if (!f.length) return null; let total = f.reduce((s, e) => s + e.weight, 0), roll = Math.random() * total; for (let e of f) { if (roll < e.weight) return e.rarity; roll -= e.weight; } return f[f.length - 1].rarity; }
-function pullWeighted(table) { const r = weightedRoll(table); return randomFrom(getByRarity(r)) || randomFrom(cards); }
+/* ---------------- SET VALIDATION ---------------- */
+// Every load is checked before the set becomes active. Errors stop the load; warnings are
+// listed in the report panel (opened from the set header) and the set loads as usual.
+const SET_EXPORT_TYPE = "tcg-deck-builder-export";
+const REQUIRED_CARD_FIELDS = ["rarity", "image", "number"];
+const IMAGE_CHECK_TIMEOUT = 8000;
+const IMAGE_CHECK_CONCURRENCY = 6;
+const imageChecks = new Map(); // url -> Promise<boolean|null>, reused for the session
+let setReport = null;      // report of the active set
+let shownSetReport = null; // report in the panel (a failed load can differ from the active set)
+let imageCheckToken = 0;
 
-/* ---------------- OPEN PACK ---------------- */
-function openPack() {
-  if (!cards.length) { alert("Set not loaded"); return; }
-  
-  packDiv.innerHTML = "";
+function describeCard(card, index) {
+  if (!card || typeof card !== "object") return `Entry ${index + 1}`;
+  const number = card.number !== undefined && card.number !== "" ? ` #${card.number}` : "";
+  return `${card.name || "Unnamed card"}${number} (entry ${index + 1})`;
+}
 
-  if (!firstPackOpened) {
-    firstPackOpened = true;
-    const controls = document.getElementById("controls");
-    if (controls && openPackCenter) {
-      openPackCenter.classList.add("hidden");
-      controls.insertBefore(openPackBtn, controls.firstChild);
-    }
-  }
+// Findings are { message, card } where `card` is a card label, or null for set-wide findings
+function validateSetData(data) {
+  const report = { errors: [], warnings: [] };
+  const add = (list, message, card = null) => list.push({ message, card });
 
-  const pulls = [];
-  const pulledKeys = new Set();
+  if (!data || typeof data !== "object") {
+    add(report.errors, "The file is not a set: expected a JSON object or a card list");
+    return report;
+  }
+  if (Array.isArray(data)) {
+    add(report.warnings, `No "${SET_EXPORT_TYPE}" envelope: the file is a bare card list`);
+  } else if (data._type !== SET_EXPORT_TYPE) {
+    add(report.warnings, `Unexpected _type "${data._type || ""}" (expected "${SET_EXPORT_TYPE}")`);
+  }
 
-  const getCardKey = (c) => c ? `${c.name}_${c.number}` : null;
-  const filterUnpulled = (arr) => arr ? arr.filter(c => {
-    const key = getCardKey(c);
-    return key && !pulledKeys.has(key);
-  }) : [];
+  const list = Array.isArray(data) ? data : data.data;
+  if (!Array.isArray(list)) {
+    add(report.errors, 'The set has no "data" card list');
+    return report;
+  }
+  if (!list.length) {
+    add(report.errors, 'The "data" card list is empty');
+    return report;
+  }
 
-  const pullUnique = (rarity) => {
-    const available = filterUnpulled(getByRarity(rarity));
-    if (available.length === 0) {
-      const fallback = filterUnpulled(cards);
-      return fallback.length > 0 ? randomFrom(fallback) : null;
-    }
-    return randomFrom(available);
+  const ids = new Map();
+  const numbers = new Map();
+  const track = (map, key, label) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(label);
   };
 
-  const pullWeightedUnique = (table) => {
-    const filteredTable = table.filter(e => filterUnpulled(getByRarity(e.rarity)).length > 0);
-    if (!filteredTable.length) {
-      const fallback = filterUnpulled(cards);
-      return fallback.length > 0 ? randomFrom(fallback) : null;
+  list.forEach((card, i) => {
+    const label = describeCard(card, i);
+    if (!card || typeof card !== "object" || Array.isArray(card)) {
+      add(report.errors, "Not a card object", label);
+      return;
     }
+    REQUIRED_CARD_FIELDS.forEach(field => {
+      if (card[field] === undefined || card[field] === null || card[field] === "") {
+        add(report.warnings, field === "rarity" ? 'Missing "rarity": the card can never be pulled' : `Missing "${field}"`, label);
+      }
+    });
+    if (card.id) track(ids, String(card.id), label);
+    if (card.number !== undefined && card.number !== "") track(numbers, getCardNumberKey(card.number), label);
+  });
 
-    let total = filteredTable.reduce((s, e) => s + e.weight, 0);
-    if (total === 0) {
-      const fallback = filterUnpulled(cards);
-      return fallback.length > 0 ? randomFrom(fallback) : null;
-    }
+  ids.forEach((labels, id) => {
+    if (labels.length > 1) labels.forEach(label => add(report.warnings, `Duplicate id "${id}" (shared by ${labels.length} cards, which count as one in your collection)`, label));
+  });
+  numbers.forEach((labels, number) => {
+    if (labels.length > 1) labels.forEach(label => add(report.warnings, `Duplicate number "${number}" (shared by ${labels.length} cards)`, label));
+  });
+  return report;
+}
 
-    let roll = Math.random() * total;
-    let selectedRarity = null;
-    for (let e of filteredTable) {
-      if (roll < e.weight) { selectedRarity = e.rarity; break; }
-      roll -= e.weight;
-    }
-    if (!selectedRarity) selectedRarity = filteredTable[filteredTable.length - 1].rarity;
+// Rarities in the set that no slot (regular or special pack) can roll
+function findUnproducibleRarities(layout) {
+  const producible = new Set();
+  const collect = packType => packType.slots.forEach(slot => {
+    if (slot.table) slot.table.forEach(entry => { if (entry.weight > 0) producible.add(entry.rarity); });
+    else producible.add(slot.rarity);
+  });
+  collect(layout);
+  (layout.specialPacks || []).forEach(collect);
 
-    const available = filterUnpulled(getByRarity(selectedRarity));
-    if (available.length === 0) {
-      const fallback = filterUnpulled(cards);
-      return fallback.length > 0 ? randomFrom(fallback) : null;
-    }
-    return randomFrom(available);
-  };
+  return Object.keys(availableRarities)
+    .filter(rarity => rarity !== "undefined" && !producible.has(rarity))
+    .map(rarity => ({
+      message: `No pack slot can produce "${rarity}": ${availableRarities[rarity].length} card(s) can never be pulled`,
+      card: null
+    }));
+}
+
+// Resolves true when the image loads, false when it fails and null when it doesn't load in
+// time. A slow image may still be fine, so timeouts are not cached and not counted as broken.
+function checkImage(url) {
+  if (imageChecks.has(url)) return imageChecks.get(url);
+  const check = new Promise(resolve => {
+    const img = new Image();
+    let timer = null;
+    const finish = ok => {
+      clearTimeout(timer);
+      img.onload = img.onerror = null;
+      resolve(ok);
+    };
+    timer = setTimeout(() => {
+      imageChecks.delete(url);
+      finish(null);
+    }, IMAGE_CHECK_TIMEOUT);
+    img.onload = () => {
+      recordImageOrientation(url, img);
+      finish(true);
+    };
+    img.onerror = () => finish(false);
+    img.src = url;
+  });
+  imageChecks.set(url, check);
+  return check;
+}
 
-  const maxSetNum = getMaxSetNumber();
-  const is5CardPack = maxSetNum <= 60;
+// Loads every card image in the background and adds a warning for each card where no image
+// source loads (those also go into the broken image report). Runs the first time the active
+// set's report is opened, so loading a set doesn't download all of its images.
+async function checkSetImages() {
+  const token = ++imageCheckToken;
+  const report = setReport;
+  const targets = cards.map((card, index) => ({ card, index })).filter(t => getCardImageSources(t.card).length);
+  report.imagesTotal = targets.length;
+  report.imagesChecked = 0;
+  report.imagesTimedOut = 0;
+  renderSetReport();
 
-  if (is5CardPack) {
-    for (let i = 0; i < 2; i++) {
-      const c = pullUnique("Common");
-      if (c) { pulls.push(c); pulledKeys.add(getCardKey(c)); }
+  let next = 0;
+  const worker = async () => {
+    while (next < targets.length) {
+      const { card, index } = targets[next++];
+      const sources = getCardImageSources(card);
+      let ok = false;
+      let timedOut = false;
+      for (const url of sources) {
+        const result = await checkImage(url);
+        if (result) { ok = true; break; }
+        if (result === null) timedOut = true;
+        else failedImageUrls.add(url);
+      }
+      if (token !== imageCheckToken) return;
+      report.imagesChecked++;
+      if (ok) {
+        clearBrokenImage(card);
+      } else if (timedOut) {
+        report.imagesTimedOut++;
+      } else {
+        report.warnings.push({ message: `No image could be loaded (${sources.join(", ")})`, card: describeCard(card, index) });
+        recordBrokenImage(card, sources);
+      }
+      renderSetReport();
     }
-    const c3 = pullUnique("Uncommon");
-    if (c3) { pulls.push(c3); pulledKeys.add(getCardKey(c3)); }
-    
-    const c4 = pullWeightedUnique([
-      { rarity: "Rare", weight: 21 },
-      { rarity: "Uncommon", weight: 63 },
-      { rarity: "Common", weight: 42 },
-      { rarity: "Illustration Rare", weight: 7 },
-      { rarity: "Special Illustration Rare", weight: 2 },
-      { rarity: "Hyper Rare", weight: 1 }
-    ]);
-    if (c4) { pulls.push(c4); pulledKeys.add(getCardKey(c4)); }
+  };
+  await Promise.all(Array.from({ length: IMAGE_CHECK_CONCURRENCY }, worker));
+}
 
-    const c5 = pullWeightedUnique([
-      { rarity: "Rare", weight: 58 },
-      { rarity: "Double Rare", weight: 12 },
-      { rarity: "Ultra Rare", weight: 5 }
-    ]);
-    if (c5) { pulls.push(c5); pulledKeys.add(getCardKey(c5)); }
+function showSetReport(report) {
+  shownSetReport = report;
+  if (report && report === setReport && report.imagesTotal === undefined) checkSetImages();
+  else renderSetReport();
+  if (setReportDiv) setReportDiv.classList.remove("hidden");
+}
 
-  } else {
-    for (let i = 0; i < 4; i++) {
-      const c = pullUnique("Common");
-      if (c) { pulls.push(c); pulledKeys.add(getCardKey(c)); }
-    }
-    for (let i = 0; i < 3; i++) {
-      const c = pullUnique("Uncommon");
-      if (c) { pulls.push(c); pulledKeys.add(getCardKey(c)); }
-    }
-
-    const card8 = pullWeightedUnique([
-      { rarity: "Rare", weight: 21 },
-      { rarity: "Uncommon", weight: 63 },
-      { rarity: "Common", weight: 42 },
-      { rarity: "Illustration Rare", weight: 7 },
-      { rarity: "Special Illustration Rare", weight: 2 },
-      { rarity: "Hyper Rare", weight: 1 }
-    ]);
-    if (card8) { pulls.push(card8); pulledKeys.add(getCardKey(card8)); }
-
-    const card9 = pullWeightedUnique([
-      { rarity: "Rare", weight: 63 },
-      { rarity: "Uncommon", weight: 42 },
-      { rarity: "Common", weight: 21 },
-      { rarity: "Illustration Rare", weight: 7 },
-      { rarity: "Special Illustration Rare", weight: 2 },
-      { rarity: "Hyper Rare", weight: 1 }
-    ]);
-    if (card9) { pulls.push(card9); pulledKeys.add(getCardKey(card9)); }
+function renderFindingList(findings) {
+  const ul = document.createElement("ul");
+  findings.forEach(({ text, level }) => {
+    const li = document.createElement("li");
+    li.className = `report-${level}`;
+    li.textContent = text;
+    ul.appendChild(li);
+  });
+  return ul;
+}
 
-    const card10 = pullWeightedUnique([
-      { rarity: "Rare", weight: 58 },
-      { rarity: "Double Rare", weight: 12 },
-      { rarity: "Ultra Rare", weight: 5 }
-    ]);
-    if (card10) { pulls.push(card10); pulledKeys.add(getCardKey(card10)); }
+const isCheckingImages = report => report.imagesTotal > 0 && report.imagesChecked < report.imagesTotal;
+
+function renderSetReport() {
+  if (setReportToggleBtn) {
+    setReportToggleBtn.classList.toggle("hidden", !setReport);
+    if (setReport) {
+      const count = setReport.warnings.length;
+      setReportToggleBtn.textContent = (count ? `⚠ ${count} warning${count === 1 ? "" : "s"}` : "✓ Set check OK") +
+        (isCheckingImages(setReport) ? ` · images ${setReport.imagesChecked}/${setReport.imagesTotal}` : "");
+      setReportToggleBtn.classList.toggle("has-warnings", count > 0);
+    }
   }
 
-  stats.packsOpened++;
-  stats.totalCards += pulls.length;
-  pulls.forEach(c => stats.rarities[c.rarity] = (stats.rarities[c.rarity] || 0) + 1);
-  pulls.forEach(c => {
-    const key = `${c.name}_${c.number}`;
-    if (!collection[key]) collection[key] = { ...c, count: 0 };
-    collection[key].count++;
-    recentCards.unshift({ ...c, timestamp: Date.now() });
-    if (recentCards.length > 20) recentCards.pop();
-  });
+  const report = shownSetReport;
+  if (!setReportDiv || !report) return;
+  const checking = isCheckingImages(report);
 
-  localStorage.setItem("recentCards", JSON.stringify(recentCards));
-  saveCollection();
-  renderCollection(collectionFilter ? collectionFilter.value : null);
-  saveStats();
-  updateStatsDisplay();
+  const body = setReportDiv.querySelector(".set-report-body");
+  body.innerHTML = "";
 
-  pulls.forEach((c, i) => {
-    const div = document.createElement("div");
-    div.className = `card rarity-${c.rarity.replace(/\s+/g, '-')}`;
+  const heading = document.createElement("h3");
+  heading.textContent = `Set check: ${report.setName}`;
+  body.appendChild(heading);
 
-    applyCardOrientation(c, div);
+  const summary = document.createElement("p");
+  summary.textContent = report.errors.length
+    ? `The set could not be loaded: ${report.errors.length} error(s), ${report.warnings.length} warning(s).`
+    : report.warnings.length ? `The set loaded with ${report.warnings.length} warning(s).` : "No problems found.";
+  if (checking) summary.textContent += ` Checking images ${report.imagesChecked}/${report.imagesTotal}...`;
+  if (report.imagesTimedOut) summary.textContent += ` ${report.imagesTimedOut} image(s) took too long to load and were not checked.`;
+  body.appendChild(summary);
 
-    const isLastThree = i >= pulls.length - 3;
-    const autoReveal = AUTO_REVEAL_RARITIES.includes(c.rarity);
+  const findings = [
+    ...report.errors.map(f => ({ ...f, level: "error" })),
+    ...report.warnings.map(f => ({ ...f, level: "warning" }))
+  ];
 
-    if (!isLastThree || autoReveal) {
-      const img = document.createElement("img");
-      img.src = c.image;
-      img.alt = c.name;
-      div.appendChild(img);
-    } else {
-      div.dataset.revealed = "false";
+  const setWide = findings.filter(f => !f.card).map(f => ({ text: f.message, level: f.level }));
+  if (setWide.length) body.appendChild(renderFindingList(setWide));
 
-      const img = document.createElement("img");
-      img.src = "cardback.png";
-      img.alt = "Hidden Card";
-      div.appendChild(img);
+  const byCard = new Map();
+  findings.filter(f => f.card).forEach(f => {
+    if (!byCard.has(f.card)) byCard.set(f.card, []);
+    byCard.get(f.card).push(f);
+  });
+  if (byCard.size) {
+    const cardHeading = document.createElement("h4");
+    cardHeading.textContent = `Cards (${byCard.size})`;
+    body.appendChild(cardHeading);
+    body.appendChild(renderFindingList([...byCard].map(([card, list]) => ({
+      text: `${card}: ${list.map(f => f.message).join("; ")}`,
+      level: list.some(f => f.level === "error") ? "error" : "warning"
+    }))));
+  }
+}
 
-      if (i === pulls.length - 3 || i === pulls.length - 2) {
-        div.classList.add("glow-mystery-slots-8-9");
-      } else if (i === pulls.length - 1) {
-        div.classList.add("glow-mystery-slot-10");
-      }
+if (setReportToggleBtn && setReportDiv) {
+  setReportToggleBtn.onclick = () => showSetReport(setReport);
+}
+if (setReportDiv) {
+  setReportDiv.onclick = e => {
+    if (e.target === setReportDiv || e.target.closest(".set-report-close")) setReportDiv.classList.add("hidden");
+  };
+}
 
-      div.addEventListener("click", () => {
-        if (div.dataset.revealed === "true") return;
+/* ---------------- BROKEN IMAGES ---------------- */
+// Cards none of whose image sources load, kept per set so the list can be sent to the set author
+function getBrokenImagesKey() { return `brokenImages_${currentSetName}`; }
 
-        img.src = c.image;
+function getBrokenImages() {
+  return JSON.parse(localStorage.getItem(getBrokenImagesKey())) || {};
+}
+
+function saveBrokenImages(broken) {
+  if (Object.keys(broken).length) localStorage.setItem(getBrokenImagesKey(), JSON.stringify(broken));
+  else localStorage.removeItem(getBrokenImagesKey());
+  renderBrokenImages();
+}
+
+function recordBrokenImage(card, urls) {
+  if (!card || !cards.includes(card) && !cards.some(c => getCardId(c) === getCardId(card))) return;
+  const broken = getBrokenImages();
+  const id = getCardId(card);
+  if (broken[id] && broken[id].urls.join() === urls.join()) return;
+  broken[id] = { name: card.name, number: card.number, urls, reportedAt: new Date().toISOString() };
+  saveBrokenImages(broken);
+}
+
+function clearBrokenImage(card) {
+  const broken = getBrokenImages();
+  const id = getCardId(card);
+  if (!broken[id]) return;
+  delete broken[id];
+  saveBrokenImages(broken);
+}
+
+function getBrokenImageList() {
+  return Object.values(getBrokenImages()).sort((a, b) => compareCardNumbers(a.number, b.number));
+}
+
+function formatBrokenImagesReport() {
+  const list = getBrokenImageList();
+  const lines = list.map(entry =>
+    `${entry.number !== undefined && entry.number !== "" ? `#${entry.number} ` : ""}${entry.name}: ${entry.urls.length ? entry.urls.join(", ") : "no image URL"}`);
+  return [`Broken images in "${currentSetName}" (${list.length} card${list.length === 1 ? "" : "s"})`, "", ...lines].join("\n");
+}
+
+function renderBrokenImages() {
+  const list = getBrokenImageList();
+  if (brokenImagesToggleBtn) {
+    brokenImagesToggleBtn.classList.toggle("hidden", !list.length || !cards.length);
+    brokenImagesToggleBtn.textContent = `🖼 ${list.length} broken image${list.length === 1 ? "" : "s"}`;
+  }
+  if (!brokenImagesDiv) return;
+
+  const body = brokenImagesDiv.querySelector(".set-report-body");
+  body.innerHTML = "";
+  const heading = document.createElement("h3");
+  heading.textContent = `Broken images: ${currentSetName}`;
+  body.appendChild(heading);
+
+  const summary = document.createElement("p");
+  summary.textContent = list.length
+    ? `No image could be loaded for ${list.length} card${list.length === 1 ? "" : "s"}. Every listed URL was tried.`
+    : "All card images loaded.";
+  body.appendChild(summary);
+
+  if (list.length) {
+    const ul = document.createElement("ul");
+    list.forEach(entry => {
+      const li = document.createElement("li");
+      li.className = "report-warning";
+      li.textContent = `${entry.number !== undefined && entry.number !== "" ? `#${entry.number} ` : ""}${entry.name}`;
+      const urls = document.createElement("div");
+      urls.className = "broken-image-urls";
+      urls.textContent = entry.urls.length ? entry.urls.join("\n") : "No image URL";
+      li.appendChild(urls);
+      ul.appendChild(li);
+    });
+    body.appendChild(ul);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "set-update-actions";
+  [
+    ["Copy report", () => {
+      const text = formatBrokenImagesReport();
+      if (navigator.clipboard) navigator.clipboard.writeText(text).then(() => alert("Report copied"), () => prompt("Copy the report:", text));
+      else prompt("Copy the report:", text);
+    }],
+    ["Download report", () => URLResolver.exportJsonToFile({ set: currentSetName, generatedAt: new Date().toISOString(), cards: getBrokenImageList() }, `${currentSetName} broken images.json`)
+      .catch(err => alert(`Download failed: ${err.message || err}`))],
+    ["Clear list", () => saveBrokenImages({})]
+  ].forEach(([label, handler]) => {
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.disabled = !list.length;
+    btn.onclick = handler;
+    actions.appendChild(btn);
+  });
+  body.appendChild(actions);
+}
+
+if (brokenImagesToggleBtn && brokenImagesDiv) {
+  brokenImagesToggleBtn.onclick = () => {
+    renderBrokenImages();
+    brokenImagesDiv.classList.remove("hidden");
+  };
+}
+if (brokenImagesDiv) {
+  brokenImagesDiv.onclick = e => {
+    if (e.target === brokenImagesDiv || e.target.closest(".set-report-close")) brokenImagesDiv.classList.add("hidden");
+  };
+}
+
+/* ---------------- PACK LAYOUTS ---------------- */
+// Built-in layouts for sets that don't ship a `packLayout`. Each slot either pulls a fixed
+// `rarity` or rolls a weighted `table`; `count` repeats a slot, `faceDown` keeps it hidden
+// until clicked and `glow` picks the mystery glow shown while it is hidden. A `variant` on
+// a slot or table entry (e.g. "Reverse Holo") is collected separately from the normal card.
+const RARE_SLOT_TABLE = [
+  { rarity: "Rare", weight: 58 },
+  { rarity: "Double Rare", weight: 12 },
+  { rarity: "Ultra Rare", weight: 5 }
+];
+
+// The reverse-holo slots. Their lower rarities only come out as reverse holos in sets
+// that turn on `reverseHolos`
+const REVERSE_SLOT_TABLE = [
+  { rarity: "Rare", weight: 21 },
+  { rarity: "Uncommon", weight: 63 },
+  { rarity: "Common", weight: 42 },
+  { rarity: "Illustration Rare", weight: 7 },
+  { rarity: "Special Illustration Rare", weight: 2 },
+  { rarity: "Hyper Rare", weight: 1 }
+];
+const SECOND_REVERSE_SLOT_TABLE = [
+  { rarity: "Rare", weight: 63 },
+  { rarity: "Uncommon", weight: 42 },
+  { rarity: "Common", weight: 21 },
+  { rarity: "Illustration Rare", weight: 7 },
+  { rarity: "Special Illustration Rare", weight: 2 },
+  { rarity: "Hyper Rare", weight: 1 }
+];
+const REVERSE_HOLO_VARIANT = "Reverse Holo";
+const REVERSE_HOLO_RARITIES = ["Common", "Uncommon", "Rare"];
+
+const DEFAULT_PACK_LAYOUTS = {
+  small: {
+    name: "5-card pack",
+    slots: [
+      { rarity: "Common", count: 2 },
+      { rarity: "Uncommon", faceDown: true, glow: "slots-8-9" },
+      { table: REVERSE_SLOT_TABLE, faceDown: true, glow: "slots-8-9" },
+      { table: RARE_SLOT_TABLE, faceDown: true, glow: "slot-10" }
+    ]
+  },
+  standard: {
+    name: "10-card pack",
+    slots: [
+      { rarity: "Common", count: 4 },
+      { rarity: "Uncommon", count: 3 },
+      { table: REVERSE_SLOT_TABLE, faceDown: true, glow: "slots-8-9" },
+      { table: SECOND_REVERSE_SLOT_TABLE, faceDown: true, glow: "slots-8-9" },
+      { table: RARE_SLOT_TABLE, faceDown: true, glow: "slot-10" }
+    ]
+  }
+};
+
+let packLayout = null;
+let setHasReverseHolos = false;
+
+// Accepts either a bare slot array or `{ name, slots, specialPacks }` and expands `count`
+// so every entry in the returned `slots` produces exactly one card. Special packs are
+// layouts of their own, picked with their `chance` before any slot is rolled.
+function normalizePackLayout(layout) {
+  const rawSlots = Array.isArray(layout) ? layout : (layout && layout.slots);
+  if (!Array.isArray(rawSlots) || !rawSlots.length) throw new Error("packLayout needs a non-empty slot list");
+
+  const slots = [];
+  rawSlots.forEach((slot, i) => {
+    const hasTable = Array.isArray(slot.table) && slot.table.length > 0;
+    if (!hasTable && typeof slot.rarity !== "string") {
+      throw new Error(`slot ${i + 1} needs a "rarity" or a weighted "table"`);
+    }
+    if (hasTable && slot.table.some(e => typeof e.rarity !== "string" || !(e.weight >= 0))) {
+      throw new Error(`slot ${i + 1} has a table entry without a rarity or a non-negative weight`);
+    }
+    const count = slot.count === undefined ? 1 : parseInt(slot.count, 10);
+    if (!(count >= 1)) throw new Error(`slot ${i + 1} has an invalid count`);
+
+    const { count: _count, ...single } = slot;
+    for (let n = 0; n < count; n++) slots.push({ ...single, faceDown: !!slot.faceDown });
+  });
+
+  const specialPacks = ((layout && layout.specialPacks) || []).map((special, i) => {
+    const chance = Number(special.chance);
+    if (!(chance > 0 && chance < 1)) throw new Error(`special pack ${i + 1} needs a chance between 0 and 1`);
+    const normalized = normalizePackLayout({ name: special.name || `Special pack ${i + 1}`, slots: special.slots });
+    return { ...normalized, chance };
+  });
+  if (specialPacks.reduce((sum, p) => sum + p.chance, 0) >= 1) throw new Error("special pack chances must add up to less than 1");
+
+  return { name: (layout && layout.name) || "Custom pack", slots, specialPacks };
+}
+
+// Rarities with a `rareSlotWeight` join the rare slot table of the built-in layouts, and
+// sets with `reverseHolos` get reverse holos in the reverse-holo slots
+function getDefaultPackLayout() {
+  let base = getMaxSetNumber() <= 60 ? DEFAULT_PACK_LAYOUTS.small : DEFAULT_PACK_LAYOUTS.standard;
+  if (setHasReverseHolos) {
+    const withReverseHolos = table => table.map(e => REVERSE_HOLO_RARITIES.includes(e.rarity) ? { ...e, variant: REVERSE_HOLO_VARIANT } : e);
+    base = {
+      ...base,
+      slots: base.slots.map(slot => slot.table === REVERSE_SLOT_TABLE || slot.table === SECOND_REVERSE_SLOT_TABLE
+        ? { ...slot, table: withReverseHolos(slot.table) }
+        : slot)
+    };
+  }
+  const extra = rarityRegistry.filter(r => r.rareSlotWeight !== undefined);
+  if (!extra.length) return normalizePackLayout(base);
+
+  const weightOf = name => extra.find(r => r.name === name);
+  const rareTable = [
+    ...RARE_SLOT_TABLE.map(e => weightOf(e.rarity) ? { ...e, weight: weightOf(e.rarity).rareSlotWeight } : e),
+    ...extra.filter(r => !RARE_SLOT_TABLE.some(e => e.rarity === r.name)).map(r => ({ rarity: r.name, weight: r.rareSlotWeight }))
+  ];
+  return normalizePackLayout({
+    ...base,
+    slots: base.slots.map(slot => slot.table === RARE_SLOT_TABLE ? { ...slot, table: rareTable } : slot)
+  });
+}
+
+function resolvePackLayout(setLayout) {
+  if (!setLayout) return getDefaultPackLayout();
+  try {
+    return normalizePackLayout(setLayout);
+  } catch (err) {
+    alert(`Invalid packLayout in set file (${err.message}). Using the default layout.`);
+    return getDefaultPackLayout();
+  }
+}
+
+/* ---------------- SEEDED RANDOM ---------------- */
+// Every pack is rolled from a seed so it can be replayed: the same seed and the same
+// set file always give the same cards.
+function generateSeed() { return Math.floor(Math.random() * 0x100000000).toString(36).padStart(7, "0"); }
+
+function hashSeed(seed) {
+  let h = 2166136261;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for shuffling cards
+function createRng(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ---------------- VARIANTS ---------------- */
+// The variant a slot gives a card of `rarity` (used when a plan fixes the rarity)
+function getSlotVariant(slot, rarity) {
+  if (!slot.table) return slot.variant || NORMAL_VARIANT;
+  const entry = slot.table.find(e => e.rarity === rarity);
+  return (entry && entry.variant) || slot.variant || NORMAL_VARIANT;
+}
+
+// Every variant a card can be pulled as: a card's own `variants` list wins, otherwise
+// every variant any slot of the layout (or its special packs) gives its rarity.
+function getCardVariants(card, layout = packLayout) {
+  if (Array.isArray(card.variants) && card.variants.length) return card.variants;
+  const variants = new Set([NORMAL_VARIANT]);
+  if (!layout) return [...variants];
+  [layout, ...(layout.specialPacks || [])].forEach(packType => packType.slots.forEach(slot => {
+    const entries = slot.table ? slot.table : [slot];
+    entries.forEach(e => { if (e.rarity === card.rarity && (e.variant || slot.variant)) variants.add(e.variant || slot.variant); });
+  }));
+  return [...variants];
+}
+
+// Owned copies of one variant. Entries saved before variants existed only have `count`,
+// which were all normal copies.
+function getVariantCount(entry, variant) {
+  if (!entry) return 0;
+  if (!entry.variantCounts) return variant === NORMAL_VARIANT ? entry.count || 0 : 0;
+  return entry.variantCounts[variant] || 0;
+}
+
+function getVariantAbbreviation(variant) {
+  return variant.split(/\s+/).map(w => w[0]).join("").toUpperCase();
+}
+
+function getVariantClass(variant) {
+  return variant && variant !== NORMAL_VARIANT ? `variant-${variant.toLowerCase().replace(/\s+/g, '-')}` : "";
+}
+
+/* ---------------- HELPERS ---------------- */
+function randomFrom(arr, rng = Math.random) { if (!arr || !arr.length) return null; return arr[Math.floor(rng() * arr.length)]; }
+function getByRarity(r) { return availableRarities[r] || []; }
+function weightedRoll(table, rng = Math.random) { const f = table.filter(e => getByRarity(e.rarity).length); if (!f.length) return null; let total = f.reduce((s, e) => s + e.weight, 0), roll = rng() * total; for (let e of f) { if (roll < e.weight) return e.rarity; roll -= e.weight; } return f[f.length - 1].rarity; }
+function pullWeighted(table, rng = Math.random) { const r = weightedRoll(table, rng); return randomFrom(getByRarity(r), rng) || randomFrom(cards, rng); }
+
+// Rolls every slot of a layout without touching collection, stats or the DOM.
+// Returns `[{ card, slot }]`; slots that could not be filled are skipped. A `plan`
+// (one rarity per slot, as made by planBoosterBox) replaces the slot rolls.
+function rollPack(layout, rng, plan = null) {
+  const pulls = [];
+  const pulledKeys = new Set();
+
+  const filterUnpulled = (arr) => arr ? arr.filter(c => {
+    const key = getCardId(c);
+    return key && !pulledKeys.has(key);
+  }) : [];
+
+  const pullUnique = (rarity) => {
+    const available = filterUnpulled(getByRarity(rarity));
+    if (available.length === 0) {
+      const fallback = filterUnpulled(cards);
+      return fallback.length > 0 ? randomFrom(fallback, rng) : null;
+    }
+    return randomFrom(available, rng);
+  };
+
+  // returns the pulled card and the table entry it was rolled from (null on fallback)
+  const pullWeightedUnique = (table) => {
+    const filteredTable = table.filter(e => filterUnpulled(getByRarity(e.rarity)).length > 0);
+    if (!filteredTable.length) {
+      const fallback = filterUnpulled(cards);
+      return { card: fallback.length > 0 ? randomFrom(fallback, rng) : null, entry: null };
+    }
+
+    let total = filteredTable.reduce((s, e) => s + e.weight, 0);
+    if (total === 0) {
+      const fallback = filterUnpulled(cards);
+      return { card: fallback.length > 0 ? randomFrom(fallback, rng) : null, entry: null };
+    }
+
+    let roll = rng() * total;
+    let selected = null;
+    for (let e of filteredTable) {
+      if (roll < e.weight) { selected = e; break; }
+      roll -= e.weight;
+    }
+    if (!selected) selected = filteredTable[filteredTable.length - 1];
+
+    const available = filterUnpulled(getByRarity(selected.rarity));
+    if (available.length === 0) {
+      const fallback = filterUnpulled(cards);
+      return { card: fallback.length > 0 ? randomFrom(fallback, rng) : null, entry: null };
+    }
+    return { card: randomFrom(available, rng), entry: selected };
+  };
+
+  layout.slots.forEach((slot, i) => {
+    const planned = plan ? plan[i] : null;
+    let c, variant;
+    if (planned) {
+      c = pullUnique(planned);
+      variant = getSlotVariant(slot, planned);
+    } else if (slot.table) {
+      const pulled = pullWeightedUnique(slot.table);
+      c = pulled.card;
+      variant = (pulled.entry && pulled.entry.variant) || slot.variant;
+    } else {
+      c = pullUnique(slot.rarity);
+      variant = slot.variant;
+    }
+    if (c) { pulls.push({ card: c, slot, variant: variant || NORMAL_VARIANT }); pulledKeys.add(getCardId(c)); }
+  });
+
+  return pulls;
+}
+
+/* ---------------- BOOSTER BOX ---------------- */
+// A box is planned as a whole: every slot of every pack gets a rarity first, then slots
+// are re-rolled until each box rule (`min`/`max` cards of the listed rarities) holds.
+const DEFAULT_BOOSTER_BOX = {
+  packs: 36,
+  rules: [
+    { rarities: ["Illustration Rare"], min: 4 },
+    { rarities: ["Special Illustration Rare", "Hyper Rare"], min: 1, max: 1 }
+  ]
+};
+
+let boosterBoxConfig = null;
+let activeBox = null;
+
+function getBoxKey() { return `boosterBox_${currentSetName}`; }
+
+function normalizeBoosterBox(config) {
+  const packs = parseInt(config.packs, 10);
+  if (!(packs >= 1)) throw new Error("boosterBox needs a positive number of packs");
+
+  const rules = (config.rules || []).map((rule, i) => {
+    if (!Array.isArray(rule.rarities) || !rule.rarities.length) throw new Error(`rule ${i + 1} needs a list of rarities`);
+    const min = rule.min === undefined ? 0 : parseInt(rule.min, 10);
+    const max = rule.max === undefined ? Infinity : parseInt(rule.max, 10);
+    if (!(min >= 0) || !(max >= min)) throw new Error(`rule ${i + 1} has an invalid min/max`);
+    return { rarities: rule.rarities, min, max };
+  });
+
+  return { packs, rules };
+}
+
+function resolveBoosterBox(setBox) {
+  try {
+    return normalizeBoosterBox(setBox || DEFAULT_BOOSTER_BOX);
+  } catch (err) {
+    alert(`Invalid boosterBox in set file (${err.message}). Using the default box.`);
+    return normalizeBoosterBox(DEFAULT_BOOSTER_BOX);
+  }
+}
+
+// Rolls a slot's rarity from the set's available rarities, skipping `exclude`
+function rollSlotRarity(slot, rng, exclude = []) {
+  if (!slot.table) return exclude.includes(slot.rarity) ? null : slot.rarity;
+  const table = slot.table.filter(e => e.weight > 0 && !exclude.includes(e.rarity) && getByRarity(e.rarity).length);
+  if (!table.length) return null;
+  let roll = rng() * table.reduce((s, e) => s + e.weight, 0);
+  for (const e of table) {
+    if (roll < e.weight) return e.rarity;
+    roll -= e.weight;
+  }
+  return table[table.length - 1].rarity;
+}
+
+function shuffleInPlace(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Returns `{ plan, unmetRules }`: one rarity per slot per pack, and a description of every
+// rule that could not be met. Rules whose rarities the set doesn't have are ignored. A pack
+// never plans more cards of a rarity than the set has (packs hold no duplicates), and throws
+// when a fixed slot makes that impossible.
+function planBoosterBox(layout, box, rng) {
+  const plan = [];
+  const positions = [];
+  // rarities pack `p` already holds every card of (`except` is the slot being re-rolled)
+  const exhaustedIn = (p, except = -1) => {
+    const counts = {};
+    plan[p].forEach((rarity, s) => { if (s !== except && rarity) counts[rarity] = (counts[rarity] || 0) + 1; });
+    return Object.keys(counts).filter(rarity => counts[rarity] >= getByRarity(rarity).length);
+  };
+  for (let p = 0; p < box.packs; p++) {
+    plan.push([]);
+    layout.slots.forEach((slot, s) => {
+      positions.push({ p, s, slot });
+      plan[p].push(rollSlotRarity(slot, rng, slot.table ? exhaustedIn(p) : []));
+    });
+  }
+
+  const rules = box.rules.filter(rule => rule.rarities.some(r => getByRarity(r).length));
+  const countFor = (rule) => positions.filter(({ p, s }) => rule.rarities.includes(plan[p][s])).length;
+  // rarities that may not be added (a rule is at its max) or removed (a rule is at its min)
+  const blockedAdds = (except) => rules.filter(r => r !== except && countFor(r) >= r.max).flatMap(r => r.rarities);
+  const blockedRemovals = (except) => rules.filter(r => r !== except && countFor(r) <= r.min).flatMap(r => r.rarities);
+
+  for (let pass = 0; pass < 3; pass++) {
+    rules.forEach(rule => {
+      if (countFor(rule) > rule.max) {
+        const candidates = shuffleInPlace(positions.filter(({ p, s, slot }) => slot.table && rule.rarities.includes(plan[p][s])), rng);
+        for (const { p, s, slot } of candidates) {
+          if (countFor(rule) <= rule.max) break;
+          const replacement = rollSlotRarity(slot, rng, [...rule.rarities, ...blockedAdds(rule), ...exhaustedIn(p, s)]);
+          if (replacement) plan[p][s] = replacement;
+        }
+      }
+
+      if (countFor(rule) < rule.min) {
+        const upgradeTable = (slot) => ({ table: slot.table.filter(e => rule.rarities.includes(e.rarity)) });
+        const candidates = shuffleInPlace(positions.filter(({ p, s, slot }) =>
+          slot.table && !rule.rarities.includes(plan[p][s]) && rollSlotRarity(upgradeTable(slot), () => 0)), rng);
+        for (const { p, s, slot } of candidates) {
+          if (countFor(rule) >= rule.min) break;
+          if (blockedRemovals(rule).includes(plan[p][s])) continue;
+          const upgrade = rollSlotRarity(upgradeTable(slot), rng, [...blockedAdds(rule), ...exhaustedIn(p, s)]);
+          if (upgrade) plan[p][s] = upgrade;
+        }
+      }
+    });
+  }
+
+  plan.forEach((packPlan, p) => {
+    const counts = {};
+    packPlan.forEach(rarity => { if (rarity) counts[rarity] = (counts[rarity] || 0) + 1; });
+    Object.entries(counts).forEach(([rarity, n]) => {
+      const available = getByRarity(rarity).length;
+      if (n > available) throw new Error(`pack ${p + 1} needs ${n} different ${rarity} cards, but the set has ${available}`);
+    });
+  });
+
+  const unmetRules = [];
+  rules.forEach(rule => {
+    const count = countFor(rule);
+    if (count < rule.min || count > rule.max) {
+      const limits = [rule.min > 0 ? `at least ${rule.min}` : "", rule.max < Infinity ? `at most ${rule.max}` : ""].filter(Boolean).join(" and ");
+      unmetRules.push(`${rule.rarities.join(" / ")}: ${limits} wanted, the box has ${count}`);
+    }
+  });
+
+  return { plan, unmetRules };
+}
+
+// Returns `{ packs, unmetRules }`; throws when the set can't fill the box's packs
+function generateBoosterBox(seed) {
+  if (!packLayout) packLayout = getDefaultPackLayout();
+  if (!boosterBoxConfig) boosterBoxConfig = resolveBoosterBox(null);
+  const rng = createRng(seed);
+  const { plan, unmetRules } = planBoosterBox(packLayout, boosterBoxConfig, rng);
+  return { packs: plan.map(packPlan => rollPack(packLayout, rng, packPlan)), unmetRules };
+}
+
+// Boxes are stored as seed + progress and re-generated, so the same set file deals the same box
+function saveBoosterBox() {
+  if (activeBox) localStorage.setItem(getBoxKey(), JSON.stringify({ seed: activeBox.seed, opened: activeBox.opened }));
+  else localStorage.removeItem(getBoxKey());
+}
+
+function restoreBoosterBox() {
+  activeBox = null;
+  const saved = JSON.parse(localStorage.getItem(getBoxKey()));
+  if (saved && cards.length) {
+    try {
+      const { packs } = generateBoosterBox(saved.seed);
+      if (saved.opened < packs.length) activeBox = { seed: saved.seed, packs, opened: saved.opened };
+    } catch (err) {
+      localStorage.removeItem(getBoxKey());
+      alert(`The saved booster box for "${currentSetName}" can no longer be dealt and was discarded: ${err.message || err}`);
+    }
+  }
+  updateBoxStatus();
+}
+
+function startBoosterBox(seed = null) {
+  if (!cards.length) { alert("Set not loaded"); return; }
+  if (activeBox && !confirm("A booster box is already open. Discard its remaining packs?")) return;
+  const boxSeed = seed || generateSeed();
+  let box;
+  try {
+    box = generateBoosterBox(boxSeed);
+  } catch (err) {
+    alert(`This set can't fill a booster box: ${err.message}`);
+    return;
+  }
+  if (box.unmetRules.length &&
+    !confirm(`This box doesn't meet the set's booster box rules:\n${box.unmetRules.join("\n")}\n\nOpen it anyway?`)) return;
+  activeBox = { seed: boxSeed, packs: box.packs, opened: 0 };
+  saveBoosterBox();
+  updateBoxStatus();
+}
+
+function takeNextBoxPack() {
+  if (!activeBox) return null;
+  const rolled = activeBox.packs[activeBox.opened++];
+  if (activeBox.opened >= activeBox.packs.length) activeBox = null;
+  saveBoosterBox();
+  updateBoxStatus();
+  return rolled;
+}
+
+function updateBoxStatus() {
+  if (!boxStatusDiv) return;
+  if (!activeBox) {
+    boxStatusDiv.classList.add("hidden");
+    boxStatusDiv.innerHTML = "";
+    return;
+  }
+  boxStatusDiv.classList.remove("hidden");
+  boxStatusDiv.innerHTML = `<span>Booster Box <code>${activeBox.seed}</code>: ${activeBox.packs.length - activeBox.opened} of ${activeBox.packs.length} packs left</span>`;
+
+  const discardBtn = document.createElement("button");
+  discardBtn.textContent = "Discard Box";
+  discardBtn.onclick = () => {
+    if (!confirm("Discard the remaining packs of this box?")) return;
+    activeBox = null;
+    saveBoosterBox();
+    updateBoxStatus();
+  };
+  boxStatusDiv.appendChild(discardBtn);
+}
+
+if (openBoxBtn) {
+  openBoxBtn.onclick = () => {
+    const seed = packSeedInput ? packSeedInput.value.trim() : "";
+    if (packSeedInput) packSeedInput.value = "";
+    startBoosterBox(seed || null);
+  };
+}
+
+/* ---------------- PITY ---------------- */
+// Bad-luck protection: each rule counts the packs since one of its rarities was pulled.
+// Once a rule reaches `packs`, the next pack's first slot that can roll one of those
+// rarities is upgraded. Counters live in `stats.pity`; the on/off switch is per set.
+const DEFAULT_PITY_RULES = [
+  { rarities: ["Special Illustration Rare", "Hyper Rare"], packs: 40 }
+];
+
+function getPityEnabledKey() { return `pityEnabled_${currentSetName}`; }
+function getPityRuleId(rule) { return rule.rarities.join("|"); }
+
+function normalizePityRules(config) {
+  const list = Array.isArray(config) ? config : [config];
+  return list.map((rule, i) => {
+    if (!Array.isArray(rule.rarities) || !rule.rarities.length) throw new Error(`rule ${i + 1} needs a list of rarities`);
+    const packs = parseInt(rule.packs, 10);
+    if (!(packs >= 1)) throw new Error(`rule ${i + 1} needs a positive number of packs`);
+    return { rarities: rule.rarities, packs };
+  });
+}
+
+function resolvePityRules(setPity) {
+  try {
+    return normalizePityRules(setPity || DEFAULT_PITY_RULES);
+  } catch (err) {
+    alert(`Invalid pity in set file (${err.message}). Using the default pity rule.`);
+    return normalizePityRules(DEFAULT_PITY_RULES);
+  }
+}
+
+function loadPityEnabled() {
+  pityEnabled = localStorage.getItem(getPityEnabledKey()) === "true";
+}
+
+// Returns a rollPack() plan upgrading one slot per due rule, or null when nothing is due
+function buildPityPlan(layout, counters, rng) {
+  let plan = null;
+  pityRules.forEach(rule => {
+    if ((counters[getPityRuleId(rule)] || 0) < rule.packs) return;
+    const slotIndex = layout.slots.findIndex((slot, i) =>
+      slot.table && !(plan && plan[i]) && slot.table.some(e => e.weight > 0 && rule.rarities.includes(e.rarity) && getByRarity(e.rarity).length));
+    if (slotIndex === -1) return;
+    const slot = layout.slots[slotIndex];
+    const upgrade = rollSlotRarity({ table: slot.table.filter(e => rule.rarities.includes(e.rarity)) }, rng);
+    if (!upgrade) return;
+    if (!plan) plan = new Array(layout.slots.length).fill(null);
+    plan[slotIndex] = upgrade;
+  });
+  return plan;
+}
+
+// Only layouts that declare special packs use up a roll here, so packs of other layouts
+// come out the same for a seed as they did before special packs existed
+function chooseSpecialPack(layout, rng) {
+  if (!layout.specialPacks || !layout.specialPacks.length) return null;
+  let roll = rng();
+  for (const special of layout.specialPacks) {
+    if (roll < special.chance) return special;
+    roll -= special.chance;
+  }
+  return null;
+}
+
+// Rolls one pack the way "Open Pack" does: a special pack type may replace the layout,
+// otherwise due pity rules upgrade a slot. Returns `{ rolled, upgraded, special }`.
+function rollNextPack(layout, rng, counters, usePity = pityEnabled) {
+  const special = chooseSpecialPack(layout, rng);
+  if (special) return { rolled: rollPack(special, rng), upgraded: false, special };
+  const plan = usePity ? buildPityPlan(layout, counters, rng) : null;
+  return { rolled: rollPack(layout, rng, plan), upgraded: !!plan, special: null };
+}
+
+function advancePityCounters(counters, pulls) {
+  pityRules.forEach(rule => {
+    const id = getPityRuleId(rule);
+    counters[id] = pulls.some(c => rule.rarities.includes(c.rarity)) ? 0 : (counters[id] || 0) + 1;
+  });
+}
+
+/* ---------------- OPEN PACK ---------------- */
+function moveOpenButtonToControls() {
+  if (firstPackOpened) return;
+  firstPackOpened = true;
+  const controls = document.getElementById("controls");
+  if (controls && openPackCenter) {
+    openPackCenter.classList.add("hidden");
+    controls.insertBefore(openPackBtn, controls.firstChild);
+  }
+}
+
+// Adds one pack's rolled `{ card, variant }` entries to stats, collection and recent
+// cards in memory only
+function recordPulls(rolled, special = null) {
+  const pulls = rolled.map(p => p.card);
+  if (!stats.pity) stats.pity = {};
+  advancePityCounters(stats.pity, pulls);
+  if (special) {
+    if (!stats.specialPacks) stats.specialPacks = {};
+    stats.specialPacks[special.name] = (stats.specialPacks[special.name] || 0) + 1;
+  }
+  stats.packsOpened++;
+  stats.totalCards += pulls.length;
+  pulls.forEach(c => stats.rarities[c.rarity] = (stats.rarities[c.rarity] || 0) + 1);
+  rolled.forEach(({ card: c, variant }) => {
+    const key = getCardId(c);
+    if (!collection[key]) collection[key] = { ...toOwnershipRecord(c), count: 0 };
+    const entry = collection[key];
+    if (!entry.variantCounts) entry.variantCounts = { [NORMAL_VARIANT]: entry.count };
+    entry.variantCounts[variant] = (entry.variantCounts[variant] || 0) + 1;
+    entry.count++;
+    recentCards.unshift({ ...c, variant, timestamp: Date.now() });
+    if (recentCards.length > RECENT_CARDS_LIMIT) recentCards.pop();
+  });
+}
+
+// Marks the #pack container when a special pack type was opened
+function showSpecialPack(special) {
+  const container = document.getElementById("pack-container");
+  if (container) container.classList.toggle("special-pack", !!special);
+  if (!packBannerDiv) return;
+  packBannerDiv.classList.toggle("hidden", !special);
+  packBannerDiv.textContent = special ? `✨ ${special.name}! ✨` : "";
+}
+
+function saveProgress() {
+  ProgressStore.set("recentCards", recentCards);
+  saveCollection();
+  renderCollection(collectionFilter ? collectionFilter.value : null);
+  saveStats();
+  updateStatsDisplay();
+}
+
+// Drops a pack that is still shuffling, so its reveal can't draw over what replaced it
+function cancelPackReveal() {
+  packRevealToken++;
+  packDiv.classList.remove("shuffling");
+}
+
+function openPack(seed = null) {
+  if (!cards.length) { alert("Set not loaded"); return; }
+  
+  packDiv.innerHTML = "";
+  if (bulkSummaryDiv) bulkSummaryDiv.innerHTML = "";
+  moveOpenButtonToControls();
+
+  if (!packLayout) packLayout = getDefaultPackLayout();
+  let rolled, special = null;
+  let record = true;
+  if (activeBox && !seed) {
+    // packs of an open box are dealt in order; their seed is the box's
+    rolled = takeNextBoxPack();
+    if (packSeedDisplay) packSeedDisplay.classList.add("hidden");
+  } else if (seed) {
+    // replayed seeds ignore pity so they always give the shared pack, and only count when
+    // the player says so (otherwise every replay would add the same cards again)
+    ({ rolled, special } = rollNextPack(packLayout, createRng(seed), {}, false));
+    record = confirm(`Add the cards of replayed seed ${seed} to your collection and stats?\nCancel just shows the pack.`);
+    showPackSeed(seed, { notRecorded: !record });
+  } else {
+    const packSeed = generateSeed();
+    const result = rollNextPack(packLayout, createRng(packSeed), stats.pity || {});
+    ({ rolled, special } = result);
+    showPackSeed(packSeed, { pityUpgraded: result.upgraded });
+  }
+  const pulls = rolled.map(p => p.card);
+  showSpecialPack(special);
+
+  if (record) {
+    recordPulls(rolled, special);
+    saveProgress();
+  }
+
+  // Shuffle while every pulled image loads and decodes, so the reveal never waits on the network
+  const token = ++packRevealToken;
+  packDiv.classList.add("shuffling");
+  packDiv.innerHTML = `<div class="pack-shuffle"><img src="cardback.png" alt=""><img src="cardback.png" alt=""><img src="cardback.png" alt=""><span>Shuffling...</span></div>`;
+  const minShuffle = new Promise(resolve => setTimeout(resolve, PACK_SHUFFLE_MIN_MS));
+  Promise.all([minShuffle, ...pulls.map(c => preloadCardImage(c))]).then(() => {
+    if (token !== packRevealToken) return; // another pack was opened meanwhile
+    packDiv.classList.remove("shuffling");
+    packDiv.innerHTML = "";
+    revealPack(rolled, pulls);
+  });
+}
+
+function revealPack(rolled, pulls) {
+  rolled.forEach(({ card: c, slot, variant }, i) => {
+    const div = document.createElement("div");
+    div.className = `card ${getRarityClass(c.rarity)} ${getVariantClass(variant)}`.trim();
+    if (variant !== NORMAL_VARIANT) div.dataset.variant = variant;
+
+    applyCardOrientation(c, div);
+
+    const autoReveal = isAutoRevealRarity(c.rarity);
+
+    if (!slot.faceDown || autoReveal) {
+      const img = document.createElement("img");
+      setCardImage(img, c);
+      img.alt = c.name;
+      div.appendChild(img);
+    } else {
+      div.dataset.revealed = "false";
+
+      const img = document.createElement("img");
+      img.src = "cardback.png";
+      img.alt = "Hidden Card";
+      div.appendChild(img);
+
+      const glowClass = slot.glow ? `glow-mystery-${slot.glow}` : null;
+      if (glowClass) div.classList.add(glowClass);
+
+      div.addEventListener("click", () => {
+        if (div.dataset.revealed === "true") return;
+
+        setCardImage(img, c);
         img.alt = c.name;
         div.dataset.revealed = "true";
-        div.classList.remove("glow-mystery-slots-8-9", "glow-mystery-slot-10");
+        if (glowClass) div.classList.remove(glowClass);
         div.classList.add("revealed");
       }, { once: true });
     }
 
-    packDiv.appendChild(div);
-    setTimeout(() => div.classList.add("show"), i * 350);
-    attachLightboxHandlers(div, c, pulls, i);
+    packDiv.appendChild(div);
+    setTimeout(() => div.classList.add("show"), i * 350);
+    attachLightboxHandlers(div, c, pulls, i);
+  });
+  updatePackSlotCount(); // orientations already known were applied before the cards were added
+}
+
+/* ---------------- BULK OPEN ---------------- */
+// Opens `count` packs from one seed, saves once and shows a summary instead of the reveal
+// Bulk runs happen in one go on the page's thread, so they are capped
+const BULK_PACK_CAP = 1000;
+
+function openPacksInBulk(count, seed = null) {
+  if (!cards.length) { alert("Set not loaded"); return; }
+
+  cancelPackReveal();
+  packDiv.innerHTML = "";
+  moveOpenButtonToControls();
+
+  if (!packLayout) packLayout = getDefaultPackLayout();
+  const bulkSeed = seed || generateSeed();
+  const rng = createRng(bulkSeed);
+
+  const ownedBefore = new Set();
+  Object.entries(collection).forEach(([key, entry]) => {
+    Object.keys(entry.variantCounts || { [NORMAL_VARIANT]: entry.count }).forEach(variant => {
+      if (getVariantCount(entry, variant) > 0) ownedBefore.add(`${key}|${variant}`);
+    });
+  });
+  const pulled = new Map();
+  const specials = {};
+
+  for (let i = 0; i < count; i++) {
+    const { rolled, special } = rollNextPack(packLayout, rng, stats.pity || {});
+    recordPulls(rolled, special);
+    if (special) specials[special.name] = (specials[special.name] || 0) + 1;
+    rolled.forEach(({ card: c, variant }) => {
+      const key = getCardId(c);
+      const variantKey = `${key}|${variant}`;
+      if (!pulled.has(variantKey)) {
+        pulled.set(variantKey, { card: c, variant, copies: 0, isNew: !ownedBefore.has(variantKey) });
+      }
+      pulled.get(variantKey).copies++;
+    });
+  }
+
+  saveProgress();
+  showPackSeed(bulkSeed, { packs: count });
+  showSpecialPack(null);
+  renderBulkSummary(count, [...pulled.values()], specials);
+}
+
+function renderBulkSummary(packCount, entries, specials = {}) {
+  if (!bulkSummaryDiv) return;
+  bulkSummaryDiv.innerHTML = "";
+
+  const totalCards = entries.reduce((s, e) => s + e.copies, 0);
+  const newCount = entries.filter(e => e.isNew).length;
+  const header = document.createElement("h3");
+  header.textContent = `${packCount} packs opened: ${totalCards} cards, ${newCount} new`;
+  bulkSummaryDiv.appendChild(header);
+
+  Object.entries(specials).forEach(([name, n]) => {
+    const note = document.createElement("div");
+    note.className = "bulk-special";
+    note.textContent = `✨ ${name} ×${n}`;
+    bulkSummaryDiv.appendChild(note);
+  });
+
+  const byRarity = {};
+  entries.forEach(e => { (byRarity[e.card.rarity] = byRarity[e.card.rarity] || []).push(e); });
+
+  Object.keys(byRarity)
+    .sort((a, b) => getRarityRank(b) - getRarityRank(a))
+    .forEach(rarity => {
+      const group = byRarity[rarity]
+        .sort((a, b) => (b.isNew - a.isNew) || compareCardNumbers(a.card.number, b.card.number));
+      const copies = group.reduce((s, e) => s + e.copies, 0);
+
+      const section = document.createElement("div");
+      section.className = "bulk-rarity-group";
+      section.innerHTML = `<h4>${rarity} <span>${copies} pulled, ${group.filter(e => e.isNew).length} new</span></h4>`;
+
+      const grid = document.createElement("div");
+      grid.className = "bulk-grid";
+      group.forEach((e, i) => {
+        const div = document.createElement("div");
+        div.className = `card ${getRarityClass(rarity)} ${getVariantClass(e.variant)} show${e.isNew ? " bulk-new" : ""}`;
+        const variantLabel = e.variant !== NORMAL_VARIANT ? ` (${e.variant})` : "";
+        div.innerHTML = `<img alt="${e.card.name}">` +
+          `<div>${e.card.name}${variantLabel}${e.copies > 1 ? ` ×${e.copies}` : ""}</div>` +
+          (e.isNew ? `<span class="bulk-new-badge">NEW</span>` : "");
+        setCardImage(div.querySelector("img"), e.card);
+        grid.appendChild(div);
+        attachLightboxHandlers(div, e.card, group.map(g => g.card), i);
+      });
+
+      section.appendChild(grid);
+      bulkSummaryDiv.appendChild(section);
+    });
+}
+
+if (bulkControls) {
+  bulkControls.querySelectorAll("button[data-packs]").forEach(btn => {
+    btn.onclick = () => {
+      const count = btn.dataset.packs === "custom"
+        ? parseInt(bulkCountInput.value, 10)
+        : parseInt(btn.dataset.packs, 10);
+      if (!(count >= 1)) return alert("Please enter a number of packs");
+      if (count > BULK_PACK_CAP) return alert(`You can open at most ${BULK_PACK_CAP} packs at once`);
+      lightboxEnabled = false;
+      const seed = packSeedInput ? packSeedInput.value.trim() : "";
+      if (packSeedInput) packSeedInput.value = "";
+      openPacksInBulk(count, seed || null);
+    };
+  });
+}
+
+/* ---------------- ODDS SIMULATOR ---------------- */
+// Opens packs with the real rollPack() logic against a throwaway collection, so
+// `collection`, `stats` and the DOM are never touched.
+const SIM_PACK_CAP = 5000;
+
+function summarize(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+    median: at(0.5),
+    p90: at(0.9),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function runSimulationTrial(layout, rng, regularKeys, result) {
+  const owned = new Set();
+  const pityCounters = {};
+  let regularLeft = regularKeys.size;
+  let regularDoneAt = null;
+  const firstHit = {};
+
+  for (let pack = 1; pack <= SIM_PACK_CAP; pack++) {
+    const rolled = rollNextPack(layout, rng, pityCounters).rolled;
+    advancePityCounters(pityCounters, rolled.map(p => p.card));
+    const raritiesInPack = new Set();
+    result.packsSimulated++;
+
+    rolled.forEach(({ card, variant }) => {
+      const r = result.rarities[card.rarity];
+      if (r) r.cards++;
+      raritiesInPack.add(card.rarity);
+
+      const key = getCardId(card);
+      if (result.variantKeys && result.variantKeys.has(`${key}|${variant}`)) owned.add(`${key}|${variant}`);
+      if (owned.has(key)) return;
+      owned.add(key);
+      if (regularKeys.has(key)) regularLeft--;
+    });
+
+    raritiesInPack.forEach(rarity => {
+      if (result.rarities[rarity]) result.rarities[rarity].packsWithHit++;
+      if (firstHit[rarity] === undefined) firstHit[rarity] = pack;
+    });
+
+    if (regularDoneAt === null && regularLeft === 0) regularDoneAt = pack;
+    if (owned.size === result.masterSize) {
+      result.master.push(pack);
+      break;
+    }
+  }
+
+  if (regularDoneAt !== null) result.regular.push(regularDoneAt);
+  if (owned.size < result.masterSize) result.capped++;
+  Object.keys(result.rarities).forEach(rarity => {
+    if (firstHit[rarity] !== undefined) result.rarities[rarity].firstHit.push(firstHit[rarity]);
+  });
+}
+
+async function simulateSet({ trials = 50, seed = null, onProgress = null } = {}) {
+  if (!cards.length) throw new Error("Set not loaded");
+  const layout = packLayout || getDefaultPackLayout();
+  const simSeed = seed || generateSeed();
+  const rng = createRng(simSeed);
+
+  const cardKeys = new Set(cards.map(getCardId));
+  const variantKeys = new Set(cards.flatMap(c => getCardVariants(c, layout).map(v => `${getCardId(c)}|${v}`)));
+  const regularKeys = new Set(cards.filter(c => isRegularRarity(c.rarity)).map(getCardId));
+  const rarityNames = Object.keys(availableRarities).sort((a, b) => getRarityRank(a) - getRarityRank(b));
+
+  const result = {
+    seed: simSeed,
+    trials,
+    layoutName: layout.name,
+    pity: pityEnabled,
+    // with variants the master set also needs every `${key}|${variant}` pair
+    variantKeys: masterSetNeedsVariants ? variantKeys : null,
+    masterSize: cardKeys.size + (masterSetNeedsVariants ? variantKeys.size : 0),
+    packsSimulated: 0,
+    capped: 0,
+    regular: [],
+    master: [],
+    rarities: {}
+  };
+  rarityNames.forEach(r => { result.rarities[r] = { cards: 0, packsWithHit: 0, firstHit: [] }; });
+
+  for (let t = 0; t < trials; t++) {
+    runSimulationTrial(layout, rng, regularKeys, result);
+    if (onProgress) onProgress(t + 1, trials);
+    // yield so the page stays responsive during long runs
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return result;
+}
+
+function renderHistogram(values, trials) {
+  if (!values.length) return `<div class="sim-histogram-empty">Never hit</div>`;
+  const { max } = summarize(values);
+  const bucketCount = Math.min(12, max);
+  const width = Math.ceil(max / bucketCount);
+  const buckets = new Array(bucketCount).fill(0);
+  values.forEach(v => buckets[Math.min(bucketCount - 1, Math.floor((v - 1) / width))]++);
+  const peak = Math.max(...buckets);
+
+  return `<div class="sim-histogram">${buckets.map((n, i) => {
+    const from = i * width + 1, to = (i + 1) * width;
+    const label = width === 1 ? `${from}` : `${from}-${to}`;
+    return `<div class="sim-bar" title="${label} packs: ${n} of ${trials} trials">
+              <div class="sim-bar-fill" style="height:${peak ? (n / peak) * 100 : 0}%"></div>
+              <span>${label}</span>
+            </div>`;
+  }).join("")}</div>`;
+}
+
+function renderSimulationResults(result) {
+  const fmt = (n) => n === null || n === undefined ? "–" : (Number.isInteger(n) ? n : n.toFixed(1));
+  const completionRow = (label, values) => {
+    const s = summarize(values);
+    return `<tr><td>${label}</td><td>${s ? fmt(s.mean) : "–"}</td><td>${s ? s.median : "–"}</td><td>${s ? s.p90 : "–"}</td><td>${values.length}/${result.trials}</td></tr>`;
+  };
+
+  let html = `<p>${result.trials} trials, ${result.packsSimulated} packs (${result.layoutName}${result.pity ? ", pity on" : ""}), seed <code>${result.seed}</code></p>`;
+  if (result.capped) html += `<p class="sim-warning">${result.capped} trial(s) stopped at ${SIM_PACK_CAP} packs without finishing the Master Set.</p>`;
+
+  html += `<h4>Packs to complete</h4>
+           <table class="sim-table">
+             <tr><th></th><th>Mean</th><th>Median</th><th>90%</th><th>Finished</th></tr>
+             ${completionRow("Regular Set", result.regular)}
+             ${completionRow("Master Set", result.master)}
+           </table>`;
+
+  html += `<h4>Per-rarity hit rates</h4>
+           <table class="sim-table">
+             <tr><th>Rarity</th><th>Cards / pack</th><th>Packs with one</th><th>Median packs to first hit</th></tr>`;
+  Object.entries(result.rarities).forEach(([rarity, r]) => {
+    const s = summarize(r.firstHit);
+    html += `<tr><td>${rarity}</td>
+                 <td>${(r.cards / result.packsSimulated).toFixed(3)}</td>
+                 <td>${((r.packsWithHit / result.packsSimulated) * 100).toFixed(2)}%</td>
+                 <td>${s ? s.median : "–"}</td></tr>`;
+  });
+  html += `</table>`;
+
+  html += `<h4>Packs to first hit</h4>`;
+  Object.entries(result.rarities).forEach(([rarity, r]) => {
+    html += `<div class="sim-histogram-row"><span class="sim-histogram-label">${rarity}</span>${renderHistogram(r.firstHit, result.trials)}</div>`;
+  });
+
+  simResultsDiv.innerHTML = html;
+}
+
+if (toggleSimulatorBtn && simulatorPanel) {
+  toggleSimulatorBtn.onclick = () => {
+    const hidden = simulatorPanel.classList.toggle("hidden");
+    toggleSimulatorBtn.textContent = hidden ? "Show Simulator" : "Hide Simulator";
+  };
+}
+
+if (runSimulationBtn) {
+  runSimulationBtn.onclick = () => {
+    if (!cards.length) return alert("Set not loaded");
+    const trials = Math.max(1, parseInt(simTrialsInput.value, 10) || 50);
+    runSimulationBtn.disabled = true;
+    simResultsDiv.innerHTML = "";
+
+    simulateSet({
+      trials,
+      seed: simSeedInput.value.trim() || null,
+      onProgress: (done, total) => { simProgressDiv.textContent = `Simulating... ${done}/${total}`; }
+    }).then(result => {
+      simProgressDiv.textContent = "";
+      renderSimulationResults(result);
+    }).catch(err => {
+      simProgressDiv.textContent = `Simulation failed: ${err.message || err}`;
+    }).finally(() => {
+      runSimulationBtn.disabled = false;
+    });
+  };
+}
+
+/* ---------------- CARD ODDS ---------------- */
+// Per-card odds are estimated by rolling packs, because the unique-per-pack rule and the
+// fallbacks in rollPack() make an exact closed form impractical.
+const ODDS_CHUNK_SIZE = 1000;
+
+// Rarities a layout asks for that the loaded set has no cards of. A fixed slot with a
+// missing rarity falls back to any card of the set; a missing table entry is dropped and
+// its weight goes to the other entries of that slot.
+function findMissingLayoutRarities(layout) {
+  const missing = {};
+  const check = (packType, prefix) => packType.slots.forEach((slot, i) => {
+    const entries = slot.table ? slot.table.map(e => e.rarity) : [slot.rarity];
+    entries.forEach(rarity => {
+      if (getByRarity(rarity).length) return;
+      if (!missing[rarity]) missing[rarity] = { rarity, fixedSlots: [], tableSlots: [] };
+      (slot.table ? missing[rarity].tableSlots : missing[rarity].fixedSlots).push(`${prefix}${i + 1}`);
+    });
+  });
+  check(layout, "");
+  (layout.specialPacks || []).forEach(special => check(special, `${special.name} `));
+  return Object.values(missing);
+}
+
+async function estimateCardOdds({ packs = 20000, seed = null, onProgress = null } = {}) {
+  if (!cards.length) throw new Error("Set not loaded");
+  const layout = packLayout || getDefaultPackLayout();
+  const oddsSeed = seed || generateSeed();
+  const rng = createRng(oddsSeed);
+  const hits = new Map(cards.map(c => [c, 0]));
+  const pityCounters = {};
+
+  for (let done = 0; done < packs; done += ODDS_CHUNK_SIZE) {
+    const chunk = Math.min(ODDS_CHUNK_SIZE, packs - done);
+    for (let i = 0; i < chunk; i++) {
+      const rolled = rollNextPack(layout, rng, pityCounters).rolled;
+      advancePityCounters(pityCounters, rolled.map(p => p.card));
+      rolled.forEach(({ card }) => hits.set(card, hits.get(card) + 1));
+    }
+    if (onProgress) onProgress(done + chunk, packs);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    packs,
+    seed: oddsSeed,
+    layoutName: layout.name,
+    pity: pityEnabled,
+    missing: findMissingLayoutRarities(layout),
+    cards: cards.map(card => ({ card, probability: hits.get(card) / packs }))
+  };
+}
+
+function renderCardOdds(result) {
+  let html = `<p>Estimated from ${result.packs} packs (${result.layoutName}${result.pity ? ", pity on" : ""}), seed <code>${result.seed}</code></p>`;
+
+  if (result.missing.length) {
+    html += `<ul class="odds-warnings">`;
+    result.missing.forEach(m => {
+      if (m.fixedSlots.length) {
+        html += `<li><strong>${m.rarity}</strong> has no cards in this set: slot ${m.fixedSlots.join(", ")} pulls a random card from the whole set instead.</li>`;
+      }
+      if (m.tableSlots.length) {
+        html += `<li><strong>${m.rarity}</strong> has no cards in this set: it is never rolled in slot ${m.tableSlots.join(", ")} and its weight goes to the other rarities there.</li>`;
+      }
+    });
+    html += `</ul>`;
+  }
+
+  const rows = [...result.cards].sort((a, b) =>
+    getRarityRank(a.card.rarity) - getRarityRank(b.card.rarity) || a.probability - b.probability);
+
+  html += `<table class="sim-table">
+             <tr><th>#</th><th>Card</th><th>Rarity</th><th>Chance per pack</th><th>About 1 in</th></tr>`;
+  rows.forEach(({ card, probability }) => {
+    html += `<tr${probability === 0 ? ' class="odds-never"' : ""}>
+               <td>${formatCardNumber(card)}</td><td>${card.name}</td><td>${card.rarity}</td>
+               <td>${(probability * 100).toFixed(3)}%</td>
+               <td>${probability > 0 ? Math.round(1 / probability) + " packs" : "never pulled"}</td>
+             </tr>`;
+  });
+  html += `</table>`;
+
+  oddsResultsDiv.innerHTML = html;
+}
+
+if (toggleOddsBtn && oddsPanel) {
+  toggleOddsBtn.onclick = () => {
+    const hidden = oddsPanel.classList.toggle("hidden");
+    toggleOddsBtn.textContent = hidden ? "Show Card Odds" : "Hide Card Odds";
+  };
+}
+
+if (runOddsBtn) {
+  runOddsBtn.onclick = () => {
+    if (!cards.length) return alert("Set not loaded");
+    const packs = Math.max(ODDS_CHUNK_SIZE, parseInt(oddsPacksInput.value, 10) || 20000);
+    runOddsBtn.disabled = true;
+    oddsResultsDiv.innerHTML = "";
+
+    estimateCardOdds({
+      packs,
+      onProgress: (done, total) => { oddsProgressDiv.textContent = `Rolling packs... ${done}/${total}`; }
+    }).then(result => {
+      oddsProgressDiv.textContent = "";
+      renderCardOdds(result);
+    }).catch(err => {
+      oddsProgressDiv.textContent = `Odds calculation failed: ${err.message || err}`;
+    }).finally(() => {
+      runOddsBtn.disabled = false;
+    });
+  };
+}
+
+/* ---------------- PACK SEEDS ---------------- */
+function getSeedShareUrl(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("set", currentSetName);
+  url.searchParams.set("seed", seed);
+  return url.href;
+}
+
+// Share links replay a single pack, so a bulk run's seed is shown without one
+function showPackSeed(seed, { pityUpgraded = false, notRecorded = false, packs = 1 } = {}) {
+  if (!packSeedDisplay) return;
+  packSeedDisplay.innerHTML = "";
+  packSeedDisplay.classList.remove("hidden");
+
+  const label = document.createElement("span");
+  label.textContent = `Seed: ${seed}` +
+    (packs > 1 ? ` (${packs} packs)` : "") +
+    (pityUpgraded ? " (pity upgrade, replays without it)" : "") +
+    (notRecorded ? " (replay, not added to your collection)" : "");
+  if (packs > 1) {
+    packSeedDisplay.appendChild(label);
+    return;
+  }
+
+  const copyBtn = document.createElement("button");
+  copyBtn.textContent = "Copy Link";
+  copyBtn.onclick = () => {
+    const link = getSeedShareUrl(seed);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(link).then(() => { copyBtn.textContent = "Copied!"; }, () => prompt("Copy this link:", link));
+    } else {
+      prompt("Copy this link:", link);
+    }
+  };
+
+  packSeedDisplay.append(label, copyBtn);
+}
+
+/* ---------------- SET CATALOG ---------------- */
+// sets/index.json lists the bundled sets. Entries are objects with `name`, `file` (relative
+// to sets/), `cardCount`, `logo`, `symbol` and `releaseDate`; a bare file name also works.
+let setCatalog = [];
+let catalogError = null;
+
+function normalizeCatalogEntry(entry) {
+  const raw = typeof entry === "string" ? { file: entry } : entry;
+  if (!raw || !raw.file) return null;
+  return {
+    name: raw.name || raw.file.replace(/\.json$/i, "").replace(/_/g, " "),
+    file: raw.file,
+    path: `sets/${raw.file}`,
+    cardCount: raw.cardCount || null,
+    logo: raw.logo || null,
+    symbol: raw.symbol || null,
+    releaseDate: raw.releaseDate || null,
+    missing: false
+  };
+}
+
+function findCatalogEntry(name) {
+  return setCatalog.find(entry => entry.name === name) || null;
+}
+
+// Loads the manifest and checks every listed file, so missing files can be shown as such
+function loadCatalog() {
+  return fetch(CATALOG_URL)
+    .then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
+    .then(list => {
+      if (!Array.isArray(list)) throw new Error("expected a list of sets");
+      setCatalog = list.map(normalizeCatalogEntry).filter(Boolean);
+      catalogError = null;
+      return Promise.all(setCatalog.map(entry =>
+        fetch(entry.path, { method: "HEAD" })
+          .then(r => { entry.missing = !r.ok; })
+          // no answer at all (offline, set never cached) says nothing about the file
+          .catch(() => { entry.missing = false; })
+      ));
+    })
+    .catch(err => {
+      setCatalog = [];
+      catalogError = `Could not load ${CATALOG_URL}: ${err.message || err}`;
+    });
+}
+
+/* ---------------- START SCREEN ---------------- */
+function initStartScreen() {
+  if (!availableSetsDiv) return;
+  availableSetsDiv.innerHTML = "";
+
+  if (catalogError) {
+    availableSetsDiv.innerHTML = `<p class="catalog-error">${catalogError}</p>`;
+    return;
+  }
+
+  setCatalog.forEach(entry => {
+    const wrapper = document.createElement("div");
+    wrapper.className = "catalog-entry";
+    const btn = document.createElement("button");
+    btn.className = "set-entry";
+    if (entry.logo) {
+      const logo = document.createElement("img");
+      logo.src = entry.logo;
+      logo.alt = entry.name;
+      logo.className = "set-logo";
+      btn.appendChild(logo);
+    }
+
+    const title = document.createElement("span");
+    title.className = "set-name";
+    title.textContent = entry.name;
+    if (entry.symbol) {
+      const symbol = document.createElement("img");
+      symbol.src = entry.symbol;
+      symbol.alt = "";
+      symbol.className = "set-symbol";
+      title.prepend(symbol);
+    }
+    btn.appendChild(title);
+
+    const details = [entry.cardCount ? `${entry.cardCount} cards` : null, entry.releaseDate].filter(Boolean).join(" · ");
+    const meta = document.createElement("span");
+    meta.className = "set-meta";
+    meta.textContent = entry.missing ? `Missing file: ${entry.path}` : details;
+    btn.appendChild(meta);
+
+    if (entry.missing) {
+      btn.disabled = true;
+      btn.classList.add("set-missing");
+    } else {
+      btn.onclick = () => loadSet(entry.path, entry.name);
+    }
+    wrapper.appendChild(btn);
+    if (!entry.missing) wrapper.appendChild(createOfflineButton(entry.name, () => fetchCatalogSetForOffline(entry), [entry.logo, entry.symbol]));
+    availableSetsDiv.appendChild(wrapper);
+  });
+}
+
+/* ---------------- SET LIBRARY ---------------- */
+// Imported sets are kept in IndexedDB through SetLibrary (scripts/set-library.js)
+let libraryEntries = [];
+let libraryError = null;
+
+// Per-set keys that follow a set when it is renamed: progress in ProgressStore, settings in localStorage
+const SET_PROGRESS_PREFIXES = ["collection_", "packStats_"];
+const SET_DATA_PREFIXES = ["boosterBox_", "pityEnabled_", "brokenImages_"];
+
+function hasSetLibrary() { return typeof SetLibrary !== "undefined"; }
+
+function getSetNameFromUrl(url) {
+  const last = url.split("?")[0].split("#")[0].split("/").filter(Boolean).pop() || "";
+  try {
+    return decodeURIComponent(last).replace(/\.(json|zip)$/i, "") || "Custom Set";
+  } catch {
+    return last.replace(/\.(json|zip)$/i, "") || "Custom Set";
+  }
+}
+
+function findLibraryEntry(name) {
+  return libraryEntries.find(entry => entry.name === name) || null;
+}
+
+function refreshLibrary() {
+  if (!hasSetLibrary()) return Promise.resolve();
+  return SetLibrary.list()
+    .then(entries => {
+      libraryEntries = entries;
+      libraryError = null;
+    })
+    .catch(err => {
+      libraryEntries = [];
+      libraryError = `Your imported sets could not be read: ${err.message || err}`;
+    })
+    .then(() => {
+      renderLibrary();
+      renderSetTabs();
+    });
+}
+
+function saveToLibrary(data, name, source = {}) {
+  if (!hasSetLibrary()) return Promise.resolve();
+  return SetLibrary.save({ name, data, ...source })
+    .then(refreshLibrary)
+    .catch(err => alert(`The set was loaded but could not be saved to your library: ${err.message || err}`));
+}
+
+function loadLibrarySet(name, options = {}) {
+  const entry = findLibraryEntry(name);
+  if (!entry) return alert(`"${name}" is not in your library`);
+  SetLibrary.get(entry.id)
+    .then(record => {
+      if (!record) throw new Error("Set not found in library");
+      loadSet(record.data, record.name, options);
+    })
+    .catch(err => alert(`Failed to load set: ${err.message || err}`));
+}
+
+function moveSetData(oldName, newName) {
+  SET_PROGRESS_PREFIXES.forEach(prefix => {
+    const value = ProgressStore.get(prefix + oldName);
+    if (value === undefined) return;
+    ProgressStore.set(prefix + newName, value);
+    ProgressStore.remove(prefix + oldName);
+  });
+  SET_DATA_PREFIXES.forEach(prefix => {
+    const value = localStorage.getItem(prefix + oldName);
+    if (value === null) return;
+    localStorage.setItem(prefix + newName, value);
+    localStorage.removeItem(prefix + oldName);
+  });
+  if (offlineSets[oldName] !== undefined) {
+    offlineSets[newName] = offlineSets[oldName];
+    delete offlineSets[oldName];
+    localStorage.setItem("offlineSets", JSON.stringify(offlineSets));
+  }
+  if (currentSetName === oldName) {
+    currentSetName = newName;
+    ProgressStore.set("activeSetName", newName);
+    if (currentSetDisplay) currentSetDisplay.textContent = newName;
+  }
+}
+
+function renameLibrarySet(entry) {
+  const newName = (prompt(`Rename "${entry.name}" to:`, entry.name) || "").trim();
+  if (!newName || newName === entry.name) return;
+  if (findCatalogEntry(newName)) return alert(`"${newName}" is the name of a bundled set`);
+  SetLibrary.rename(entry.id, newName)
+    .then(() => {
+      moveSetData(entry.name, newName);
+      return refreshLibrary();
+    })
+    .catch(err => alert(`Rename failed: ${err.message || err}`));
+}
+
+function deleteLibrarySet(entry) {
+  if (!confirm(`Remove "${entry.name}" from your library?`)) return;
+  const eraseProgress = confirm(`Also erase your collection and stats for "${entry.name}"?\nCancel keeps them for a later re-import.`);
+  SetLibrary.remove(entry.id)
+    .then(() => {
+      if (eraseProgress) {
+        SET_PROGRESS_PREFIXES.forEach(prefix => ProgressStore.remove(prefix + entry.name));
+        SET_DATA_PREFIXES.forEach(prefix => localStorage.removeItem(prefix + entry.name));
+      }
+      delete offlineSets[entry.name];
+      localStorage.setItem("offlineSets", JSON.stringify(offlineSets));
+      return refreshLibrary();
+    })
+    .catch(err => alert(`Delete failed: ${err.message || err}`));
+}
+
+function refetchLibrarySet(entry) {
+  if (!entry.sourceUrl) return;
+  loadSet(entry.sourceUrl, entry.name, {
+    reviewUpdate: true,
+    libraryImport: true,
+    onLoaded: (data, name) => saveToLibrary(data, name, { sourceUrl: entry.sourceUrl })
+  });
+}
+
+function renderLibrary() {
+  if (!librarySetsDiv) return;
+  librarySetsDiv.innerHTML = "";
+  if (libraryError) {
+    librarySetsDiv.innerHTML = `<p class="catalog-error"></p>`;
+    librarySetsDiv.querySelector(".catalog-error").textContent = libraryError;
+    return;
+  }
+  if (!libraryEntries.length) return;
+
+  const heading = document.createElement("h3");
+  heading.textContent = "Your Imported Sets";
+  librarySetsDiv.appendChild(heading);
+
+  libraryEntries.forEach(entry => {
+    const row = document.createElement("div");
+    row.className = "library-entry";
+
+    const openBtn = document.createElement("button");
+    openBtn.className = "set-entry";
+    openBtn.innerHTML = `<span class="set-name"></span><span class="set-meta"></span>`;
+    openBtn.querySelector(".set-name").textContent = entry.name;
+    openBtn.querySelector(".set-meta").textContent =
+      [`${entry.cardCount} cards`, entry.sourceUrl ? "from URL" : entry.fileName].filter(Boolean).join(" · ");
+    openBtn.onclick = () => loadLibrarySet(entry.name);
+    row.appendChild(openBtn);
+
+    const actions = [["Rename", () => renameLibrarySet(entry)], ["Delete", () => deleteLibrarySet(entry)]];
+    actions.splice(1, 0, entry.sourceUrl
+      ? ["Re-fetch", () => refetchLibrarySet(entry)]
+      : ["Update from file", () => updateLibrarySetFromFile(entry)]);
+    actions.forEach(([label, handler]) => {
+      const btn = document.createElement("button");
+      btn.className = "library-action";
+      btn.textContent = label;
+      btn.onclick = handler;
+      row.appendChild(btn);
+    });
+    row.appendChild(createOfflineButton(entry.name, () => SetLibrary.get(entry.id).then(record => record && record.data)));
+
+    librarySetsDiv.appendChild(row);
+  });
+}
+
+/* ---------------- ZIP BUNDLES ---------------- */
+// Images unpacked from a ZIP bundle are stored in the set library and referenced in
+// set data as "idb-image:<bundle>/<path>"; loading a set swaps them for blob: URLs
+const LOCAL_IMAGE_SCHEME = "idb-image:";
+const localImageUrls = new Map();
+let currentSetData = null;
+
+function isLocalImageRef(url) {
+  return typeof url === "string" && url.startsWith(LOCAL_IMAGE_SCHEME);
+}
+
+// Refs with no stored image are kept as they are: they fail to load like any other broken URL
+function getLocalImageUrl(url) {
+  return isLocalImageRef(url) ? localImageUrls.get(url) || url : url;
+}
+
+// storeImage callback for URLResolver; each import gets its own key prefix
+function createBundleImageStore() {
+  if (!hasSetLibrary()) return null; // URLResolver falls back to blob: URLs for this session
+  const bundleId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  return (path, blob) => {
+    const ref = `${LOCAL_IMAGE_SCHEME}${bundleId}/${path}`;
+    return SetLibrary.saveImage(ref, blob)
+      .then(() => {
+        localImageUrls.set(ref, URL.createObjectURL(blob));
+        return ref;
+      })
+      .catch(() => URL.createObjectURL(blob));
+  };
+}
+
+function collectLocalImageRefs(data) {
+  const refs = new Set();
+  JSON.stringify(data, (key, value) => {
+    if (isLocalImageRef(value)) refs.add(value);
+    return value;
+  });
+  return refs;
+}
+
+function hasLocalImageRefs(data) {
+  return collectLocalImageRefs(data).size > 0;
+}
+
+// Resolves to a copy of `data` with local refs replaced by blob: URLs. Refs whose image is
+// gone are marked failed, so their cards land in the broken image report when shown
+function resolveLocalImages(data) {
+  const missing = [...collectLocalImageRefs(data)].filter(ref => !localImageUrls.has(ref));
+  const loads = missing.map(ref =>
+    (hasSetLibrary() ? SetLibrary.getImage(ref) : Promise.resolve(null))
+      .then(blob => {
+        if (blob) localImageUrls.set(ref, URL.createObjectURL(blob));
+        else failedImageUrls.add(ref);
+      })
+      .catch(() => failedImageUrls.add(ref))
+  );
+  return Promise.all(loads).then(() => JSON.parse(JSON.stringify(data), (key, value) => getLocalImageUrl(value)));
+}
+
+function fetchImageBlob(url) {
+  if (isLocalImageRef(url)) {
+    return SetLibrary.getImage(url).then(blob => {
+      if (!blob) throw new Error("Image not found");
+      return blob;
+    });
+  }
+  return fetch(url)
+    .then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.blob();
+    })
+    .catch(() => URLResolver.fetchWithCors(url).then(r => r.blob()));
+}
+
+function getBundleImageName(url, blob, usedNames) {
+  let name = url.split(/[?#]/)[0].split("/").pop() || "image";
+  try { name = decodeURIComponent(name); } catch { /* keep encoded name */ }
+  name = name.replace(/[\\:*?"<>|]/g, "_");
+  if (!/\.[a-z0-9]+$/i.test(name)) name += `.${(blob.type.split("/")[1] || "png").replace("svg+xml", "svg")}`;
+  const dot = name.lastIndexOf(".");
+  let unique = name;
+  for (let n = 2; usedNames.has(unique.toLowerCase()); n++) unique = `${name.slice(0, dot)}-${n}${name.slice(dot)}`;
+  usedNames.add(unique.toLowerCase());
+  return `images/${unique}`;
+}
+
+// Writes the active set and its images to <set name>.zip; images that cannot be
+// fetched keep their original URL
+function exportSetBundle() {
+  if (!currentSetData) return alert("Load a set first");
+  const setName = currentSetName;
+  const envelope = Array.isArray(currentSetData)
+    ? { _type: SET_EXPORT_TYPE, timestamp: new Date().toISOString(), version: "1.0", data: currentSetData, totalCards: currentSetData.length }
+    : currentSetData;
+  const files = [];
+  const usedNames = new Set();
+  const imagePaths = new Map();
+  let failed = 0;
+
+  if (exportSetZipBtn) {
+    exportSetZipBtn.disabled = true;
+    exportSetZipBtn.textContent = "Exporting...";
+  }
+  URLResolver.rewriteImageUrls(envelope, url => {
+    if (!url || url.startsWith("data:")) return url;
+    if (!imagePaths.has(url)) {
+      imagePaths.set(url, fetchImageBlob(url)
+        .then(blob => {
+          const path = getBundleImageName(url, blob, usedNames);
+          files.push({ name: path, data: blob });
+          return path;
+        })
+        .catch(() => {
+          failed++;
+          return isLocalImageRef(url) ? "cardback.png" : url;
+        }));
+    }
+    return imagePaths.get(url);
+  })
+    .then(data => URLResolver.exportZipToFile([{ name: `${setName}.json`, data: JSON.stringify(data, null, 2) }, ...files], `${setName}.zip`))
+    .then(() => {
+      if (failed) alert(`${failed} image${failed === 1 ? "" : "s"} could not be downloaded and kept their original URL${failed === 1 ? "" : "s"}`);
+    })
+    .catch(err => alert(`Export failed: ${err.message || err}`))
+    .then(() => {
+      if (exportSetZipBtn) {
+        exportSetZipBtn.disabled = false;
+        exportSetZipBtn.textContent = "Export as ZIP";
+      }
+    });
+}
+
+if (exportSetZipBtn) exportSetZipBtn.onclick = exportSetBundle;
+
+/* ---------------- OFFLINE ---------------- */
+// sw.js serves the app and set files from its caches. Card images are only cached when a
+// set is downloaded for offline use; the cache names must match the ones in sw.js
+const OFFLINE_SET_CACHE = "pack-opener-sets";
+const OFFLINE_IMAGE_CACHE = "pack-opener-images";
+const offlineDownloads = {}; // set name -> { done, total, failed, finished } while downloading
+let offlineSets = JSON.parse(localStorage.getItem("offlineSets") || "{}"); // set name -> failed image count
+
+function hasOfflineCache() { return "caches" in window; }
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  // without it the app still works online; only the offline copy is missing
+  navigator.serviceWorker.register("sw.js").catch(() => {});
+}
+
+function getSetImageUrls(data) {
+  const list = Array.isArray(data) ? data : (data && data.data) || [];
+  const urls = new Set();
+  list.forEach(card => {
+    getCardImageSources(card, "large").forEach(url => {
+      if (!isLocalImageRef(url) && !/^(blob|data):/.test(url)) urls.add(url);
+    });
+  });
+  return [...urls];
+}
+
+// Bundled set files go into the set cache too, so they load offline before they were ever opened
+function fetchCatalogSetForOffline(entry) {
+  return caches.open(OFFLINE_SET_CACHE)
+    .then(cache => cache.add(entry.path).then(() => cache.match(entry.path)))
+    .then(r => r.json());
+}
+
+function cacheOfflineImage(cache, url) {
+  return cache.match(url).then(hit => {
+    if (hit) return;
+    // Only CORS-readable responses are kept: browsers count each opaque (no-cors) response
+    // as several MB of quota, so hosts without CORS headers count as failed downloads
+    return fetch(url, { mode: "cors" }).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return cache.put(url, response);
+    });
+  });
+}
+
+function downloadSetForOffline(setName, getData, extraUrls = []) {
+  if (!hasOfflineCache()) return alert("This browser cannot store sets for offline use");
+  if (offlineDownloads[setName] && !offlineDownloads[setName].finished) return;
+  const progress = offlineDownloads[setName] = { done: 0, total: 0, failed: 0, finished: false };
+  renderOfflineProgress();
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+
+  Promise.all([getData(), caches.open(OFFLINE_IMAGE_CACHE)])
+    .then(async ([data, cache]) => {
+      if (!data) throw new Error("Set not found");
+      const urls = [...new Set([...getSetImageUrls(data), ...extraUrls.filter(Boolean)])];
+      progress.total = urls.length;
+      renderOfflineProgress();
+
+      let next = 0;
+      const worker = async () => {
+        while (next < urls.length) {
+          const url = urls[next++];
+          await cacheOfflineImage(cache, url).catch(() => { progress.failed++; });
+          progress.done++;
+          renderOfflineProgress();
+        }
+      };
+      await Promise.all(Array.from({ length: IMAGE_CHECK_CONCURRENCY }, worker));
+      offlineSets[setName] = progress.failed;
+      localStorage.setItem("offlineSets", JSON.stringify(offlineSets));
+    })
+    .catch(err => alert(`Download for offline failed: ${err.message || err}`))
+    .then(() => {
+      delete offlineDownloads[setName];
+      renderOfflineProgress();
+      updateStorageUsage();
+    });
+}
+
+function createOfflineButton(setName, getData, extraUrls) {
+  const btn = document.createElement("button");
+  btn.className = "library-action offline-action";
+  btn.dataset.offlineSet = setName;
+  btn.onclick = () => downloadSetForOffline(setName, getData, extraUrls);
+  updateOfflineButton(btn);
+  return btn;
+}
+
+function updateOfflineButton(btn) {
+  const setName = btn.dataset.offlineSet;
+  const progress = offlineDownloads[setName];
+  const failed = offlineSets[setName];
+  btn.disabled = !!progress;
+  btn.classList.toggle("offline-done", !progress && failed === 0);
+  if (progress) btn.textContent = progress.total ? `Downloading ${progress.done}/${progress.total}...` : "Preparing...";
+  else if (failed === undefined) btn.textContent = "Download for offline";
+  else if (failed) btn.textContent = `Offline (${failed} image${failed === 1 ? "" : "s"} failed, retry)`;
+  else btn.textContent = "✓ Available offline";
+  btn.title = failed === undefined ? "Save this set and all its card images for use without a connection" : "Download again to fetch anything missing";
+}
+
+function renderOfflineProgress() {
+  document.querySelectorAll(".offline-action").forEach(updateOfflineButton);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+function updateStorageUsage() {
+  if (!offlineStatusDiv || !hasOfflineCache() || !navigator.storage || !navigator.storage.estimate) return;
+  navigator.storage.estimate().then(({ usage = 0, quota = 0 }) => {
+    offlineStatusDiv.classList.remove("hidden");
+    storageUsageSpan.textContent = `Offline storage: ${formatBytes(usage)} used` + (quota ? ` of ${formatBytes(quota)} available` : "");
+  }).catch(() => {});
+}
+
+if (clearOfflineDataBtn) {
+  clearOfflineDataBtn.onclick = () => {
+    if (!confirm("Delete all card images downloaded for offline use? Your sets and collections are kept.")) return;
+    caches.delete(OFFLINE_IMAGE_CACHE).then(() => {
+      offlineSets = {};
+      localStorage.removeItem("offlineSets");
+      renderOfflineProgress();
+      updateStorageUsage();
+    });
+  };
+}
+
+/* ---------------- SET UPDATES ---------------- */
+// Re-importing a set that already has a collection diffs the new card list against the stored
+// version (or, without one, against the card snapshots saved in the collection) and asks
+// before moving counts and stats over to the new cards.
+let pendingUpdateSetName = null; // library set a file import is updating
+
+// Pairs old and new cards by id, then by name and number, then by number alone (renames)
+function diffCardLists(oldCards, newCards) {
+  const unmatchedOld = new Set(oldCards);
+  const unmatchedNew = new Set(newCards);
+  const pairs = [];
+  const pair = (from, to) => {
+    pairs.push({ from, to });
+    unmatchedOld.delete(from);
+    unmatchedNew.delete(to);
+  };
+
+  const newById = new Map(newCards.filter(c => c.id).map(c => [c.id, c]));
+  oldCards.forEach(from => {
+    const to = from.id && newById.get(from.id);
+    if (to && unmatchedNew.has(to)) pair(from, to);
+  });
+
+  // Only keys that are unique on both sides are trusted
+  const matchBy = keyFn => {
+    const index = (list) => {
+      const map = new Map();
+      list.forEach(c => {
+        const key = keyFn(c);
+        if (key) map.set(key, map.has(key) ? null : c);
+      });
+      return map;
+    };
+    const oldIndex = index(unmatchedOld), newIndex = index(unmatchedNew);
+    oldIndex.forEach((from, key) => {
+      const to = newIndex.get(key);
+      if (from && to) pair(from, to);
+    });
+  };
+  matchBy(c => c.number ? `${c.name}|${getCardNumberKey(c.number)}` : null);
+  matchBy(c => c.number ? getCardNumberKey(c.number) : null);
+
+  return {
+    pairs,
+    added: [...unmatchedNew],
+    removed: [...unmatchedOld],
+    renamed: pairs.filter(p => p.from.name !== p.to.name),
+    rerarity: pairs.filter(p => p.from.rarity !== p.to.rarity)
+  };
+}
+
+function hasSetChanges(diff) {
+  return diff.added.length || diff.removed.length || diff.renamed.length || diff.rerarity.length ||
+    diff.pairs.some(p => getCardId(p.from) !== getCardId(p.to));
+}
+
+function getStoredCardList(setName) {
+  if (!hasSetLibrary()) return Promise.resolve(null);
+  return SetLibrary.findByName(setName)
+    .then(record => record ? (Array.isArray(record.data) ? record.data : record.data.data) : null)
+    .catch(() => null);
+}
+
+// Resolves true when the new version should be loaded
+function reviewSetUpdate(setName, newCards) {
+  const saved = ProgressStore.get(`collection_${setName}`) || {};
+  if (!Object.keys(saved).length) return Promise.resolve(true);
+
+  return getStoredCardList(setName).then(storedCards => {
+    const diff = diffCardLists(storedCards || Object.values(saved), newCards);
+    // Snapshots only cover owned cards, so every unowned card would look added
+    if (!storedCards) diff.added = [];
+    if (!hasSetChanges(diff)) return true;
+
+    return new Promise(resolve => {
+      renderSetUpdate(setName, diff, saved, apply => {
+        setUpdateDiv.classList.add("hidden");
+        if (apply) migrateSetProgress(setName, diff);
+        resolve(apply);
+      });
+    });
+  });
+}
+
+// Moves collection entries onto the new cards and keeps the per-rarity stats in line with them
+function migrateSetProgress(setName, diff) {
+  const collectionKey = `collection_${setName}`;
+  const statsKey = `packStats_${setName}`;
+  const saved = ProgressStore.get(collectionKey) || {};
+  const storedStats = ProgressStore.get(statsKey);
+  const setStats = storedStats ? JSON.parse(JSON.stringify(storedStats)) : null;
+  const claimed = new Set();
+  const migrated = {};
+
+  const takeEntry = card => {
+    const key = [getCardId(card), getLegacyCardKey(card)].find(k => saved[k] && !claimed.has(k));
+    if (!key) return null;
+    claimed.add(key);
+    return saved[key];
+  };
+  const adjustStats = (rarity, n) => {
+    if (!setStats || !rarity) return;
+    setStats.rarities[rarity] = Math.max(0, (setStats.rarities[rarity] || 0) + n);
+  };
+
+  diff.pairs.forEach(({ from, to }) => {
+    const entry = takeEntry(from);
+    if (!entry) return;
+    const id = getCardId(to);
+    const moved = { ...toOwnershipRecord(to), count: entry.count || 0, variantCounts: entry.variantCounts };
+    migrated[id] = migrated[id] ? mergeCollectionEntries(migrated[id], moved) : moved;
+    if (from.rarity !== to.rarity) {
+      adjustStats(from.rarity, -(entry.count || 0));
+      adjustStats(to.rarity, entry.count || 0);
+    }
+  });
+  diff.removed.forEach(card => {
+    const entry = takeEntry(card);
+    if (!entry) return;
+    adjustStats(card.rarity, -(entry.count || 0));
+    if (setStats) setStats.totalCards = Math.max(0, setStats.totalCards - (entry.count || 0));
+  });
+  // Entries the diff could not place are kept for migrateCollectionKeys to report
+  Object.keys(saved).forEach(key => { if (!claimed.has(key) && !migrated[key]) migrated[key] = saved[key]; });
+
+  ProgressStore.set(collectionKey, migrated);
+  if (setStats) ProgressStore.set(statsKey, setStats);
+
+  const byOldId = new Map(diff.pairs.filter(p => p.from.id).map(p => [p.from.id, p.to]));
+  recentCards = recentCards.map(c => byOldId.has(c.id) ? { ...byOldId.get(c.id), variant: c.variant, timestamp: c.timestamp } : c);
+  ProgressStore.set("recentCards", recentCards);
+}
+
+function renderSetUpdate(setName, diff, saved, onDone) {
+  if (!setUpdateDiv) return onDone(confirm(`"${setName}" changed. Update it and move your collection over?`));
+  const body = setUpdateDiv.querySelector(".set-report-body");
+  body.innerHTML = "";
+
+  const ownedCount = card => {
+    const entry = saved[getCardId(card)] || saved[getLegacyCardKey(card)];
+    return entry ? entry.count || 0 : 0;
+  };
+  const label = card => `${card.number ? formatCardNumber(card) + " " : ""}${card.name}`;
+  const addSection = (title, items) => {
+    if (!items.length) return;
+    const heading = document.createElement("h4");
+    heading.textContent = `${title} (${items.length})`;
+    const ul = document.createElement("ul");
+    items.forEach(text => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      ul.appendChild(li);
+    });
+    body.append(heading, ul);
+  };
+
+  const heading = document.createElement("h3");
+  heading.textContent = `Update ${setName}`;
+  const summary = document.createElement("p");
+  summary.textContent = "This version of the set differs from the one your collection was built on.";
+  body.append(heading, summary);
+
+  addSection("Added", diff.added.map(label));
+  addSection("Removed", diff.removed.map(c => {
+    const owned = ownedCount(c);
+    return owned ? `${label(c)}: ${owned} owned cop${owned === 1 ? "y" : "ies"} will be removed` : label(c);
+  }));
+  addSection("Renamed", diff.renamed.map(p => `${label(p.from)} → ${p.to.name}`));
+  addSection("Rarity changed", diff.rerarity.map(p => `${label(p.to)}: ${p.from.rarity} → ${p.to.rarity}`));
+
+  const actions = document.createElement("div");
+  actions.className = "set-update-actions";
+  [["Update and keep progress", true], ["Cancel", false]].forEach(([text, apply]) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.onclick = () => onDone(apply);
+    actions.appendChild(btn);
+  });
+  body.appendChild(actions);
+  setUpdateDiv.classList.remove("hidden");
+}
+
+function updateLibrarySetFromFile(entry) {
+  pendingUpdateSetName = entry.name;
+  jsonInput.click();
+}
+
+/* ---------------- SET BUILDER ---------------- */
+// Builds a set from card images named "<number>-<printed total>-<name>.png" (e.g.
+// "01-70-yanma.png"), picked as a local folder or pasted as URLs.
+const BUILDER_IMAGE_PATTERN = /\.(png|jpe?g|webp|gif)$/i;
+const BUILDER_NAME_TOKENS = { ex: "ex", gx: "GX", v: "V", vmax: "VMAX", vstar: "VSTAR", tag: "TAG" };
+let builderCards = [];
+
+function parseCardFileName(fileName) {
+  const base = fileName.replace(BUILDER_IMAGE_PATTERN, "");
+  const match = base.match(/^(\d+)([a-z]?)-(\d+)-(.+)$/i);
+  const slug = match ? match[4] : base;
+  const name = slug.split(/[-_\s]+/).filter(Boolean)
+    .map(word => BUILDER_NAME_TOKENS[word.toLowerCase()] || word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+  return {
+    name: name || base,
+    number: match ? `${parseInt(match[1], 10)}${match[2].toLowerCase()}` : "",
+    total: match ? parseInt(match[3], 10) : null
+  };
+}
+
+function getBuilderPrintedTotal() {
+  const counts = {};
+  builderCards.forEach(c => { if (c.total) counts[c.total] = (counts[c.total] || 0) + 1; });
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return best ? parseInt(best[0], 10) : null;
+}
+
+function addBuilderCards(sources) {
+  sources.forEach(({ fileName, image, file, previewUrl }) => {
+    const parsed = parseCardFileName(fileName);
+    const secret = parsed.total && parseInt(parsed.number, 10) > parsed.total;
+    builderCards.push({
+      ...parsed,
+      image,
+      file,
+      previewUrl: previewUrl || image,
+      rarity: secret ? "Illustration Rare" : "Common",
+      selected: false
+    });
+  });
+  builderCards.sort((a, b) => compareCardNumbers(a.number, b.number));
+  if (builderSetNameInput && !builderSetNameInput.value.trim()) {
+    const folder = sources.length && sources[0].folder;
+    if (folder) builderSetNameInput.value = folder;
+  }
+  renderBuilder();
+}
+
+// Folder images are previewed from object URLs; their set URL is only settled when the set is built
+function addBuilderFolder(files) {
+  const images = [...files].filter(f => BUILDER_IMAGE_PATTERN.test(f.name));
+  if (!images.length) return alert("No card images found in that folder");
+  addBuilderCards(images.map(f => {
+    const path = f.webkitRelativePath || f.name;
+    return {
+      fileName: f.name,
+      folder: path.includes("/") ? path.split("/")[0] : null,
+      image: null,
+      file: f,
+      previewUrl: URL.createObjectURL(f)
+    };
+  }));
+}
+
+// A folder image points at the base URL; null when there is none and the file must travel with the set
+function getBuilderImageUrl(card) {
+  if (card.image) return card.image;
+  const baseUrl = builderBaseUrlInput ? builderBaseUrlInput.value.trim() : "";
+  return baseUrl ? `${baseUrl.replace(/\/+$/, "")}/${encodeURIComponent(card.file.name)}` : null;
+}
+
+// "Open in App": files without a URL go into the set library as idb-image refs, like ZIP bundle images
+function storeBuilderImages() {
+  const store = createBundleImageStore() || ((path, blob) => URL.createObjectURL(blob));
+  return Promise.all(builderCards.map(card =>
+    getBuilderImageUrl(card) || store(card.file.webkitRelativePath || card.file.name, card.file)));
+}
+
+// "Export Set": files without a URL are packed next to the JSON, so the ZIP imports like any bundle
+function exportBuilderSet() {
+  const files = [];
+  const usedNames = new Set();
+  const images = builderCards.map(card => {
+    const url = getBuilderImageUrl(card);
+    if (url) return url;
+    const path = getBundleImageName(card.file.name, card.file, usedNames);
+    files.push({ name: path, data: card.file });
+    return path;
+  });
+  const { setName, envelope } = buildSetFromBuilder(images);
+  if (!files.length) return URLResolver.exportJsonToFile(envelope, `${setName}.json`);
+  return URLResolver.exportZipToFile([{ name: `${setName}.json`, data: JSON.stringify(envelope, null, 2) }, ...files], `${setName}.zip`);
+}
+
+function addBuilderUrls(text) {
+  const urls = text.split(/\s+/).map(u => u.trim()).filter(Boolean);
+  if (!urls.length) return alert("Please paste at least one image URL");
+  addBuilderCards(urls.map(url => {
+    const last = url.split("?")[0].split("#")[0].split("/").pop() || url;
+    let fileName = last;
+    try { fileName = decodeURIComponent(last); } catch { /* keep the raw name */ }
+    return { fileName, image: url };
+  }));
+}
+
+function clearBuilder() {
+  builderCards.forEach(c => { if (c.previewUrl && c.previewUrl.startsWith("blob:")) URL.revokeObjectURL(c.previewUrl); });
+  builderCards = [];
+  renderBuilder();
+}
+
+function renderBuilderRarityOptions(select, selected) {
+  select.innerHTML = "";
+  getRarityNames().forEach(name => {
+    const option = document.createElement("option");
+    option.value = option.textContent = name;
+    select.appendChild(option);
+  });
+  if (selected) select.value = selected;
+}
+
+function updateBuilderSummary() {
+  if (!builderSummarySpan) return;
+  const selected = builderCards.filter(c => c.selected).length;
+  const total = getBuilderPrintedTotal();
+  builderSummarySpan.textContent = `${builderCards.length} cards` +
+    (total ? `, printed total ${total}` : "") + (selected ? `, ${selected} selected` : "");
+}
+
+function renderBuilder() {
+  if (!builderGrid) return;
+  builderGrid.innerHTML = "";
+  if (builderBulkRarity) renderBuilderRarityOptions(builderBulkRarity, builderBulkRarity.value);
+  updateBuilderSummary();
+
+  builderCards.forEach(card => {
+    const tile = document.createElement("div");
+    tile.className = `builder-card ${getRarityClass(card.rarity)}${card.selected ? " selected" : ""}`;
+
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.checked = card.selected;
+    check.onchange = () => {
+      card.selected = check.checked;
+      tile.classList.toggle("selected", card.selected);
+      updateBuilderSummary();
+    };
+
+    const img = document.createElement("img");
+    img.src = card.previewUrl;
+    img.alt = card.name;
+    img.onerror = () => { img.src = "cardback.png"; };
+    img.onclick = () => check.click();
+
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = card.name;
+    nameInput.placeholder = "Name";
+    nameInput.onchange = () => { card.name = nameInput.value.trim(); };
+
+    const numberInput = document.createElement("input");
+    numberInput.type = "text";
+    numberInput.value = card.number;
+    numberInput.placeholder = "Number";
+    numberInput.onchange = () => { card.number = numberInput.value.trim(); };
+
+    const raritySelect = document.createElement("select");
+    renderBuilderRarityOptions(raritySelect, card.rarity);
+    raritySelect.onchange = () => {
+      tile.classList.remove(getRarityClass(card.rarity));
+      card.rarity = raritySelect.value;
+      tile.classList.add(getRarityClass(card.rarity));
+    };
+
+    tile.append(check, img, nameInput, numberInput, raritySelect);
+    builderGrid.appendChild(tile);
+  });
+}
+
+// Cards follow the shape of the bundled sets so loadSet() and other tools read them the same way.
+// `images` holds each card's image URL, in builderCards order
+function buildSetFromBuilder(images = builderCards.map(getBuilderImageUrl)) {
+  if (!builderCards.length) throw new Error("Add some card images first");
+  const setName = (builderSetNameInput && builderSetNameInput.value.trim()) || "Custom Set";
+  const batch = Date.now();
+  const created = new Date(batch).toISOString();
+  const data = builderCards.map((c, i) => ({
+    id: `batch_${batch}_${Math.random().toString(36).slice(2, 11)}`,
+    name: c.name || "Unnamed card",
+    supertype: "Pokémon",
+    isCustom: true,
+    image: images[i],
+    imageUrl: images[i],
+    images: { small: images[i], large: images[i] },
+    subtypes: [],
+    types: [],
+    hp: 0,
+    evolvesFrom: "",
+    customSetName: setName,
+    setNumber: null,
+    number: c.number,
+    set: null,
+    attacks: [],
+    abilities: [],
+    weaknesses: [],
+    resistances: [],
+    retreatCost: [],
+    convertedRetreatCost: 0,
+    artist: "",
+    rarity: c.rarity,
+    flavorText: "",
+    legalities: { standard: "Legal", expanded: "Legal", custom: "Legal" },
+    forteData: {},
+    rules: [],
+    created
+  }));
+
+  const envelope = { _type: SET_EXPORT_TYPE, timestamp: batch, version: "1.0", data, totalCards: data.length };
+  const printed = getBuilderPrintedTotal();
+  if (printed) envelope.printedTotal = printed;
+  return { setName, envelope };
+}
+
+if (openSetBuilderBtn && setBuilderPage) {
+  openSetBuilderBtn.onclick = () => {
+    showScreen(setBuilderPage);
+    renderBuilder();
+  };
+}
+if (builderBackBtn) builderBackBtn.onclick = () => showScreen(startScreen);
+if (builderPickFolderBtn && builderFolderInput) {
+  builderPickFolderBtn.onclick = () => builderFolderInput.click();
+  builderFolderInput.onchange = () => {
+    addBuilderFolder(builderFolderInput.files);
+    builderFolderInput.value = "";
+  };
+}
+if (builderAddUrlsBtn && builderUrlList) {
+  builderAddUrlsBtn.onclick = () => {
+    addBuilderUrls(builderUrlList.value);
+    builderUrlList.value = "";
+  };
+}
+if (builderSelectAllBtn) {
+  builderSelectAllBtn.onclick = () => {
+    const select = builderCards.some(c => !c.selected);
+    builderCards.forEach(c => { c.selected = select; });
+    renderBuilder();
+  };
+}
+if (builderApplyRarityBtn && builderBulkRarity) {
+  builderApplyRarityBtn.onclick = () => {
+    const selected = builderCards.filter(c => c.selected);
+    if (!selected.length) return alert("Select some cards first");
+    selected.forEach(c => { c.rarity = builderBulkRarity.value; c.selected = false; });
+    renderBuilder();
+  };
+}
+if (builderClearBtn) builderClearBtn.onclick = () => { if (confirm("Remove all cards from the builder?")) clearBuilder(); };
+if (builderExportBtn) {
+  builderExportBtn.onclick = () => {
+    const fail = err => alert(`Export failed: ${err.message || err}`);
+    try {
+      exportBuilderSet().catch(fail);
+    } catch (err) {
+      fail(err);
+    }
+  };
+}
+if (builderLoadBtn) {
+  builderLoadBtn.onclick = () => {
+    if (!builderCards.length) return alert("Add some card images first");
+    storeBuilderImages()
+      .then(images => {
+        const built = buildSetFromBuilder(images);
+        loadSet(built.envelope, built.setName, {
+          reviewUpdate: true,
+          libraryImport: true,
+          onLoaded: (data, name) => saveToLibrary(data, name, { fileName: `${built.setName}.json`, sourceUrl: null })
+        });
+      })
+      .catch(err => alert(err.message || err));
+  };
+}
+
+/* ---------------- SET EDITOR ---------------- */
+// Edits a copy of a loaded set. Nothing changes in the app until the copy is saved, which goes
+// through loadSet() (and its update review) like any other import.
+const EDITOR_FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "number", label: "Number" },
+  { key: "rarity", label: "Rarity", type: "rarity" },
+  { key: "supertype", label: "Supertype", options: ["Pokémon", "Trainer", "Energy"] },
+  { key: "subtypes", label: "Subtypes", type: "list" },
+  { key: "hp", label: "HP", type: "number" },
+  { key: "types", label: "Types", type: "list" },
+  { key: "evolvesFrom", label: "Evolves from" },
+  { key: "retreatCost", label: "Retreat cost", type: "retreat" },
+  { key: "artist", label: "Artist" },
+  { key: "flavorText", label: "Flavor text", type: "textarea" },
+  { key: "rules", label: "Rules (one per line)", type: "lines" },
+  { key: "image", label: "Image URL", type: "image" }
+];
+
+const EDITOR_ROW_FIELDS = {
+  attacks: [
+    { key: "name", label: "Name" },
+    { key: "cost", label: "Cost", type: "list" },
+    { key: "damage", label: "Damage" },
+    { key: "text", label: "Text", type: "textarea" }
+  ],
+  abilities: [
+    { key: "name", label: "Name" },
+    { key: "type", label: "Type" },
+    { key: "text", label: "Text", type: "textarea" }
+  ],
+  weaknesses: [{ key: "type", label: "Type" }, { key: "value", label: "Value" }],
+  resistances: [{ key: "type", label: "Type" }, { key: "value", label: "Value" }]
+};
+
+const EDITOR_ROW_NAMES = { attacks: "attack", abilities: "ability", weaknesses: "weakness", resistances: "resistance" };
+
+// Fields the form keeps in step with others, so they are not offered as raw JSON
+const EDITOR_DERIVED_FIELDS = ["id", "imageUrl", "images", "convertedRetreatCost"];
+const EDITOR_BULK_FIELDS = ["artist", "rarity", "supertype", "subtypes", "types", "hp", "evolvesFrom", "retreatCost", "flavorText"];
+
+let editorSet = null; // { name, envelope, isCatalog }
+let editorCardIndex = 0;
+let editorDirty = false;
+
+function getEditorCards() { return editorSet ? editorSet.envelope.data : []; }
+
+function markEditorDirty() {
+  editorDirty = true;
+  updateEditorStatus();
+}
+
+function updateEditorStatus() {
+  if (!editorStatusSpan) return;
+  editorStatusSpan.textContent = editorSet
+    ? `${editorSet.name}: ${getEditorCards().length} cards${editorDirty ? " (unsaved changes)" : ""}`
+    : "";
+}
+
+function parseEditorList(value) { return value.split(",").map(v => v.trim()).filter(Boolean); }
+
+// Reads a field the way the form shows it
+function getEditorValue(card, field) {
+  const value = card[field.key];
+  switch (field.type) {
+    case "list": return (value || []).join(", ");
+    case "lines": return (value || []).join("\n");
+    case "retreat": return String(card.convertedRetreatCost || (card.retreatCost || []).length || 0);
+    case "number": return value ? String(value) : "";
+    default: return value === undefined || value === null ? "" : String(value);
+  }
+}
+
+// Writes a form value back, keeping derived fields in step
+function setEditorValue(card, field, raw) {
+  switch (field.type) {
+    case "list": card[field.key] = parseEditorList(raw); break;
+    case "lines": card[field.key] = raw.split("\n").map(v => v.trim()).filter(Boolean); break;
+    case "number": card[field.key] = parseInt(raw, 10) || 0; break;
+    case "retreat": {
+      // Typed costs are kept; only a new number of energies changes the list
+      const n = Math.max(0, parseInt(raw, 10) || 0);
+      if (String(n) === getEditorValue(card, field)) break;
+      const current = card.retreatCost || [];
+      card.retreatCost = current.slice(0, n).concat(Array(Math.max(0, n - current.length)).fill("Colorless"));
+      card.convertedRetreatCost = n;
+      break;
+    }
+    case "image":
+      card.image = card.imageUrl = raw;
+      card.images = { ...(card.images || {}), small: raw, large: raw };
+      break;
+    default: card[field.key] = raw;
+  }
+}
+
+function createEditorInput(field, value, onChange) {
+  let input;
+  if (field.type === "textarea" || field.type === "lines") {
+    input = document.createElement("textarea");
+    input.rows = field.type === "lines" ? 3 : 2;
+  } else if (field.type === "rarity" || field.options) {
+    input = document.createElement("select");
+    const options = field.type === "rarity" ? getRarityNames() : field.options;
+    [...new Set([...options, value].filter(Boolean))].forEach(option => {
+      const el = document.createElement("option");
+      el.value = el.textContent = option;
+      input.appendChild(el);
+    });
+  } else {
+    input = document.createElement("input");
+    input.type = field.type === "number" || field.type === "retreat" ? "number" : "text";
+    if (input.type === "number") input.min = "0";
+  }
+  input.value = value;
+  input.onchange = () => onChange(input.value);
+  return input;
+}
+
+function createEditorLabel(text, input) {
+  const label = document.createElement("label");
+  label.className = "editor-field";
+  const span = document.createElement("span");
+  span.textContent = text;
+  label.append(span, input);
+  return label;
+}
+
+// Structured editor for attacks, abilities, weaknesses and resistances
+function renderEditorRows(card, key) {
+  const fields = EDITOR_ROW_FIELDS[key];
+  const section = document.createElement("fieldset");
+  section.className = "editor-rows";
+  const legend = document.createElement("legend");
+  legend.textContent = key.charAt(0).toUpperCase() + key.slice(1);
+  section.appendChild(legend);
+
+  const rows = card[key] || (card[key] = []);
+  rows.forEach((row, i) => {
+    const rowDiv = document.createElement("div");
+    rowDiv.className = "editor-row";
+    fields.forEach(field => {
+      rowDiv.appendChild(createEditorLabel(field.label, createEditorInput(field, getEditorValue(row, field), value => {
+        setEditorValue(row, field, value);
+        if (key === "attacks" && field.key === "cost") row.convertedEnergyCost = row.cost.length;
+        markEditorDirty();
+        renderEditorCardList();
+      })));
+    });
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "editor-remove";
+    removeBtn.textContent = "Remove";
+    removeBtn.onclick = () => {
+      rows.splice(i, 1);
+      markEditorDirty();
+      renderEditorCard();
+    };
+    rowDiv.appendChild(removeBtn);
+    section.appendChild(rowDiv);
+  });
+
+  const addBtn = document.createElement("button");
+  addBtn.textContent = `Add ${EDITOR_ROW_NAMES[key]}`;
+  addBtn.onclick = () => {
+    const row = {};
+    fields.forEach(field => { row[field.key] = field.type === "list" ? [] : ""; });
+    rows.push(row);
+    markEditorDirty();
+    renderEditorCard();
+  };
+  section.appendChild(addBtn);
+  return section;
+}
+
+// Everything the form doesn't cover is edited as JSON, so no field is out of reach
+function renderEditorExtraFields(card) {
+  const covered = new Set([...EDITOR_FIELDS.map(f => f.key), ...Object.keys(EDITOR_ROW_FIELDS), ...EDITOR_DERIVED_FIELDS]);
+  const extra = {};
+  Object.keys(card).forEach(key => { if (!covered.has(key)) extra[key] = card[key]; });
+
+  const textarea = document.createElement("textarea");
+  textarea.className = "editor-json";
+  textarea.rows = 8;
+  textarea.value = JSON.stringify(extra, null, 2);
+  textarea.onchange = () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(textarea.value);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("expected an object");
+    } catch (err) {
+      textarea.classList.add("invalid");
+      return alert(`Other fields: invalid JSON (${err.message})`);
+    }
+    textarea.classList.remove("invalid");
+    Object.keys(extra).forEach(key => { if (!(key in parsed)) delete card[key]; });
+    Object.entries(parsed).forEach(([key, value]) => { if (!covered.has(key)) card[key] = value; });
+    markEditorDirty();
+  };
+  return createEditorLabel("Other fields (JSON)", textarea);
+}
+
+function renderEditorCard() {
+  if (!editorCardForm) return;
+  editorCardForm.innerHTML = "";
+  const card = getEditorCards()[editorCardIndex];
+  if (!card) return;
+
+  const preview = document.createElement("img");
+  preview.className = "editor-preview";
+  preview.src = getLocalImageUrl(card.image) || "cardback.png";
+  preview.onerror = () => { preview.src = "cardback.png"; };
+  editorCardForm.appendChild(preview);
+
+  const fieldsDiv = document.createElement("div");
+  fieldsDiv.className = "editor-fields";
+  EDITOR_FIELDS.forEach(field => {
+    fieldsDiv.appendChild(createEditorLabel(field.label, createEditorInput(field, getEditorValue(card, field), value => {
+      setEditorValue(card, field, value);
+      if (field.type === "image") preview.src = getLocalImageUrl(card.image) || "cardback.png";
+      markEditorDirty();
+      renderEditorCardList();
+    })));
   });
+  editorCardForm.appendChild(fieldsDiv);
+
+  Object.keys(EDITOR_ROW_FIELDS).forEach(key => editorCardForm.appendChild(renderEditorRows(card, key)));
+  editorCardForm.appendChild(renderEditorExtraFields(card));
 }
 
-/* ---------------- START SCREEN ---------------- */
-function initStartScreen() {
-  if (!availableSetsDiv) return;
-  availableSetsDiv.innerHTML = "";
-  ["Z-Genesis Melemele", "Z-Genesis Akala"].forEach(s => {
-    const btn = document.createElement("button");
-    btn.textContent = s;
-    btn.onclick = () => loadSet(`sets/${s}.json`, s);
-    availableSetsDiv.appendChild(btn);
+function renderEditorCardList() {
+  if (!editorCardList) return;
+  editorCardList.innerHTML = "";
+  getEditorCards().forEach((card, i) => {
+    const item = document.createElement("button");
+    item.className = `editor-card-item${i === editorCardIndex ? " active" : ""}`;
+    item.textContent = `${card.number || "?"} · ${card.name || "Unnamed card"} · ${card.rarity || "no rarity"}`;
+    item.onclick = () => {
+      editorCardIndex = i;
+      renderEditorCardList();
+      renderEditorCard();
+    };
+    editorCardList.appendChild(item);
+  });
+}
+
+function renderEditorSetOptions() {
+  if (!editorSetSelect) return;
+  editorSetSelect.innerHTML = "";
+  const names = [
+    ...setCatalog.filter(entry => !entry.missing).map(entry => entry.name),
+    ...libraryEntries.map(entry => entry.name)
+  ];
+  [...new Set(names)].forEach(name => {
+    const option = document.createElement("option");
+    option.value = option.textContent = name;
+    editorSetSelect.appendChild(option);
+  });
+  if (names.includes(currentSetName)) editorSetSelect.value = currentSetName;
+}
+
+function openSetEditor(data, setName) {
+  const envelope = JSON.parse(JSON.stringify(Array.isArray(data) ? { _type: SET_EXPORT_TYPE, data } : data));
+  editorSet = { name: setName, envelope, isCatalog: !!findCatalogEntry(setName) };
+  editorCardIndex = 0;
+  editorDirty = false;
+  updateEditorStatus();
+  renderEditorCardList();
+  renderEditorCard();
+  if (editorBulkField && !editorBulkField.options.length) {
+    EDITOR_BULK_FIELDS.forEach(key => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = EDITOR_FIELDS.find(f => f.key === key).label;
+      editorBulkField.appendChild(option);
+    });
+  }
+  showScreen(setEditorPage);
+}
+
+// Opens a copy of a bundled or library set. It is validated like any load, but does not
+// become the active set
+function loadSetIntoEditor(name) {
+  const catalogEntry = findCatalogEntry(name);
+  const libraryEntry = catalogEntry ? null : findLibraryEntry(name);
+  if (!catalogEntry && !libraryEntry) return alert(`"${name}" is not a bundled set or in your library`);
+
+  const load = catalogEntry
+    ? fetch(catalogEntry.path).then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
+    : SetLibrary.get(libraryEntry.id).then(record => {
+      if (!record) throw new Error("Set not found in library");
+      return record.data;
+    });
+  load
+    .then(data => {
+      const report = validateSetData(data);
+      report.setName = name;
+      if (report.errors.length) return showSetReport(report);
+      // Fill localImageUrls so the preview can show idb-image refs; the editor keeps the refs themselves
+      return resolveLocalImages(data).then(() => openSetEditor(data, name));
+    })
+    .catch(err => alert(`Failed to load set: ${err.message || err}`));
+}
+
+// Sets `field` on every card numbered from..to (inclusive; blank ends are open)
+function applyEditorBulkEdit(fieldKey, value, from, to) {
+  const field = EDITOR_FIELDS.find(f => f.key === fieldKey);
+  const inRange = card => (!from || compareCardNumbers(card.number, from) >= 0) && (!to || compareCardNumbers(card.number, to) <= 0);
+  const targets = getEditorCards().filter(inRange);
+  targets.forEach(card => setEditorValue(card, field, value));
+  if (targets.length) markEditorDirty();
+  return targets.length;
+}
+
+function saveEditorSet() {
+  if (!editorSet) return;
+  let name = editorSet.name;
+  if (editorSet.isCatalog) {
+    name = (prompt("Bundled sets can't be overwritten. Save your edited copy as:", `${name} (edited)`) || "").trim();
+    if (!name) return;
+    if (findCatalogEntry(name)) return alert(`"${name}" is the name of a bundled set`);
+  }
+  const envelope = { ...editorSet.envelope, timestamp: Date.now(), totalCards: getEditorCards().length };
+  loadSet(JSON.parse(JSON.stringify(envelope)), name, {
+    reviewUpdate: true,
+    onLoaded: (data, setName) => {
+      saveToLibrary(data, setName, {});
+      editorSet = { name: setName, envelope, isCatalog: false };
+      editorDirty = false;
+      updateEditorStatus();
+      showScreen(setEditorPage);
+    }
   });
 }
 
+if (openSetEditorBtn && setEditorPage) {
+  openSetEditorBtn.onclick = () => {
+    renderEditorSetOptions();
+    updateEditorStatus();
+    showScreen(setEditorPage);
+  };
+}
+if (editorBackBtn) {
+  editorBackBtn.onclick = () => {
+    if (editorDirty && !confirm("Leave the editor and discard unsaved changes?")) return;
+    editorDirty = false;
+    showScreen(startScreen);
+  };
+}
+if (editorLoadBtn && editorSetSelect) {
+  editorLoadBtn.onclick = () => {
+    if (!editorSetSelect.value) return alert("No sets to edit");
+    if (editorDirty && !confirm("Discard unsaved changes and load another set?")) return;
+    loadSetIntoEditor(editorSetSelect.value);
+  };
+}
+if (editorSaveBtn) editorSaveBtn.onclick = () => editorSet ? saveEditorSet() : alert("Load a set first");
+if (editorExportBtn) {
+  editorExportBtn.onclick = () => {
+    if (!editorSet) return alert("Load a set first");
+    const envelope = { ...editorSet.envelope, timestamp: Date.now(), totalCards: getEditorCards().length };
+    URLResolver.exportJsonToFile(envelope, `${editorSet.name}.json`)
+      .catch(err => alert(`Export failed: ${err.message || err}`));
+  };
+}
+if (editorBulkApplyBtn && editorBulkField && editorBulkValue) {
+  editorBulkApplyBtn.onclick = () => {
+    if (!editorSet) return alert("Load a set first");
+    const count = applyEditorBulkEdit(editorBulkField.value, editorBulkValue.value,
+      editorBulkFrom ? editorBulkFrom.value.trim() : "", editorBulkTo ? editorBulkTo.value.trim() : "");
+    if (!count) return alert("No cards in that number range");
+    renderEditorCardList();
+    renderEditorCard();
+  };
+}
+
 /* ---------------- IMPORT ---------------- */
 if (importSetBtn && jsonInput) {
-  importSetBtn.onclick = () => jsonInput.click();
+  importSetBtn.onclick = () => {
+    pendingUpdateSetName = null;
+    jsonInput.click();
+  };
   jsonInput.onchange = () => {
     const f = jsonInput.files[0];
-    if (!f || !f.name.endsWith(".json")) return alert("Please select a JSON file");
+    if (!f || !/\.(json|zip)$/i.test(f.name)) return alert("Please select a JSON or ZIP file");
+    const setName = pendingUpdateSetName || f.name.replace(/\.(json|zip)$/i, "");
+    pendingUpdateSetName = null;
+    const options = {
+      reviewUpdate: true,
+      libraryImport: true,
+      onLoaded: (data, name) => saveToLibrary(data, name, { fileName: f.name, sourceUrl: null })
+    };
+    jsonInput.value = "";
+    if (/\.zip$/i.test(f.name)) {
+      URLResolver.importData(f, { storeImage: createBundleImageStore() })
+        .then(data => loadSet(data, setName, options))
+        .catch(err => alert(`Failed to read ZIP bundle: ${err.message || err}`));
+      return;
+    }
     const r = new FileReader();
-    r.onload = ev => { loadSet(ev.target.result, f.name.replace(".json", "")); };
+    r.onload = ev => loadSet(ev.target.result, setName, options);
     r.readAsText(f);
   };
 }
@@ -496,7 +3790,11 @@ if (importURLBtn && urlInput) {
   importURLBtn.onclick = () => {
     const url = urlInput.value.trim();
     if (!url) return alert("Please enter a URL");
-    loadSet(url, "Custom Set");
+    loadSet(url, null, {
+      reviewUpdate: true,
+      libraryImport: true,
+      onLoaded: (data, name) => saveToLibrary(data, name, { sourceUrl: url, fileName: null })
+    });
   };
 }
 
@@ -512,7 +3810,10 @@ function showScreen(screenToShow) {
   startScreen.classList.add("hidden");
   openPackPage.classList.add("hidden");
   collectionPage.classList.add("hidden");
+  if (setBuilderPage) setBuilderPage.classList.add("hidden");
+  if (setEditorPage) setEditorPage.classList.add("hidden");
   screenToShow.classList.remove("hidden");
+  if (screenToShow === collectionPage && collectionRenderPending) renderCollection(collectionFilterRarity);
 }
 
 /* ---------------- NAVIGATION ---------------- */
@@ -545,18 +3846,393 @@ if (backToStartBtn) {
 if (openPackBtn) {
   openPackBtn.onclick = () => {
     lightboxEnabled = false;
-    openPack();
+    const seed = packSeedInput ? packSeedInput.value.trim() : "";
+    if (packSeedInput) packSeedInput.value = "";
+    openPack(seed || null);
+  };
+}
+
+/* ---------------- BACKUP ---------------- */
+// A backup holds every collection and pack stat plus recent cards and preferences.
+// Device-specific data (offline downloads, broken image lists) is left out.
+const BACKUP_TYPE = "pack-opener-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_SETTING_KEYS = ["masterSetNeedsVariants"];
+const BACKUP_SETTING_PREFIXES = ["pityEnabled_", "boosterBox_"];
+
+function isBackupSettingKey(key) {
+  return BACKUP_SETTING_KEYS.includes(key) || BACKUP_SETTING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+function getLocalSettings() {
+  const settings = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isBackupSettingKey(key)) settings[key] = localStorage.getItem(key);
+  }
+  return settings;
+}
+
+function createBackup() {
+  const progress = {};
+  ProgressStore.keys().forEach(key => { progress[key] = ProgressStore.get(key); });
+  return {
+    _type: BACKUP_TYPE,
+    version: BACKUP_VERSION,
+    schemaVersion: ProgressStore.SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    progress,
+    settings: getLocalSettings()
+  };
+}
+
+function exportBackup() {
+  const date = new Date().toISOString().slice(0, 10);
+  URLResolver.exportJsonToFile(createBackup(), `pack-opener-backup-${date}.json`)
+    .catch(err => alert(`Backup export failed: ${err.message || err}`));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Throws with a readable message when `backup` is not something we can import.
+// Collections from older progress schemas are brought up to the current one.
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup._type !== BACKUP_TYPE) throw new Error("This is not a Pack Opener backup file");
+  if (typeof backup.version !== "number" || backup.version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (backup version ${backup.version})`);
+  }
+  const schemaVersion = backup.schemaVersion === undefined ? 0 : backup.schemaVersion;
+  if (typeof schemaVersion !== "number" || schemaVersion > ProgressStore.SCHEMA_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (progress schema ${backup.schemaVersion})`);
+  }
+  if (!isPlainObject(backup.progress)) throw new Error("The backup has no progress data");
+  if (backup.settings !== undefined && !isPlainObject(backup.settings)) throw new Error("The backup's preferences are unreadable");
+
+  Object.entries(backup.progress).forEach(([key, value]) => {
+    let valid;
+    if (key.startsWith("collection_")) {
+      valid = isPlainObject(value) && Object.values(value).every(entry => isPlainObject(entry) && typeof entry.count === "number");
+    } else if (key.startsWith("packStats_")) {
+      valid = isPlainObject(value) && typeof (value.packsOpened || 0) === "number" && (value.rarities === undefined || isPlainObject(value.rarities));
+    } else if (key === "recentCards") {
+      valid = Array.isArray(value) && value.every(isPlainObject);
+    } else if (key === "activeSetName") {
+      valid = typeof value === "string";
+    } else {
+      throw new Error(`Unknown entry "${key}" in the backup`);
+    }
+    if (!valid) throw new Error(`The backup's "${key}" entry is unreadable`);
+  });
+  Object.entries(backup.settings || {}).forEach(([key, value]) => {
+    if (typeof value !== "string") throw new Error(`The backup's "${key}" preference is unreadable`);
+  });
+
+  if (schemaVersion < ProgressStore.SCHEMA_VERSION) {
+    Object.keys(backup.progress)
+      .filter(key => key.startsWith("collection_"))
+      .forEach(key => { backup.progress[key] = ProgressStore.compactCollection(backup.progress[key]); });
+  }
+}
+
+// Older backups key entries by `name_number`. Each entry moves to the key its card has here:
+// the active set's card id, or the key of the current entry for the same card. Otherwise the
+// merge would keep both entries and migrateCollectionKeys() would add them together.
+function rekeyBackupCollection(setName, current, incoming) {
+  const setCards = setName === currentSetName ? cards : [];
+  const byId = new Map(setCards.map(c => [getCardId(c), c]));
+  const byLegacyKey = new Map();
+  setCards.forEach(c => {
+    const key = getLegacyCardKey(c);
+    byLegacyKey.set(key, byLegacyKey.has(key) ? null : c); // null marks an ambiguous key
+  });
+  const currentById = new Map();
+  const currentByLegacyKey = new Map();
+  Object.entries(current).forEach(([key, entry]) => {
+    if (entry.id) currentById.set(entry.id, key);
+    const legacyKey = getLegacyCardKey(entry);
+    currentByLegacyKey.set(legacyKey, currentByLegacyKey.has(legacyKey) ? null : key);
+  });
+
+  const rekeyed = {};
+  Object.entries(incoming).forEach(([key, entry]) => {
+    let target = key;
+    if (!(key in current)) {
+      const card = byId.get(key) || (entry.id && byId.get(entry.id)) || byLegacyKey.get(key);
+      if (card) target = getCardId(card);
+      else if (entry.id && currentById.has(entry.id)) target = currentById.get(entry.id);
+      else if (currentByLegacyKey.get(getLegacyCardKey(entry))) target = currentByLegacyKey.get(getLegacyCardKey(entry));
+    }
+    rekeyed[target] = rekeyed[target] ? mergeCollectionEntries(rekeyed[target], entry) : entry;
+  });
+  return rekeyed;
+}
+
+// Merging keeps the higher count of every card variant, so importing the same backup twice changes nothing
+function mergeBackupCollections(setName, current, incoming) {
+  const merged = { ...current };
+  Object.entries(rekeyBackupCollection(setName, current, incoming)).forEach(([key, entry]) => {
+    const existing = merged[key];
+    if (!existing) {
+      merged[key] = entry;
+      return;
+    }
+    const variantCounts = {};
+    const names = new Set([
+      ...Object.keys(existing.variantCounts || { [NORMAL_VARIANT]: 0 }),
+      ...Object.keys(entry.variantCounts || { [NORMAL_VARIANT]: 0 })
+    ]);
+    names.forEach(variant => {
+      variantCounts[variant] = Math.max(getVariantCount(existing, variant), getVariantCount(entry, variant));
+    });
+    const count = Object.values(variantCounts).reduce((sum, n) => sum + n, 0);
+    merged[key] = { ...existing, count, variantCounts };
+  });
+  return merged;
+}
+
+function mergeBackupStats(current, incoming) {
+  const merged = { ...current, rarities: { ...current.rarities } };
+  ["packsOpened", "totalCards"].forEach(field => { merged[field] = Math.max(current[field] || 0, incoming[field] || 0); });
+  Object.entries(incoming.rarities || {}).forEach(([rarity, n]) => { merged.rarities[rarity] = Math.max(merged.rarities[rarity] || 0, n); });
+  if (incoming.specialPacks) {
+    merged.specialPacks = { ...current.specialPacks };
+    Object.entries(incoming.specialPacks).forEach(([name, n]) => { merged.specialPacks[name] = Math.max(merged.specialPacks[name] || 0, n); });
+  }
+  if (!merged.pity && incoming.pity) merged.pity = incoming.pity;
+  return merged;
+}
+
+function mergeRecentCards(current, incoming) {
+  const seen = new Set();
+  return [...current, ...incoming]
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .filter(c => {
+      const key = `${getCardId(c)}|${c.variant}|${c.timestamp}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, RECENT_CARDS_LIMIT);
+}
+
+// Works out the values an import would leave behind: key -> new value, undefined to delete
+function planBackupImport(backup, mode) {
+  const progress = new Map();
+  const settings = new Map();
+
+  if (mode === "replace") {
+    ProgressStore.keys().forEach(key => { if (!(key in backup.progress)) progress.set(key, undefined); });
+    Object.entries(backup.progress).forEach(([key, value]) => progress.set(key, value));
+    const local = getLocalSettings();
+    Object.keys(local).forEach(key => { if (!(key in (backup.settings || {}))) settings.set(key, undefined); });
+    Object.entries(backup.settings || {}).forEach(([key, value]) => {
+      if (isBackupSettingKey(key) && local[key] !== String(value)) settings.set(key, String(value));
+    });
+    return { progress, settings };
+  }
+
+  Object.entries(backup.progress).forEach(([key, value]) => {
+    const current = ProgressStore.get(key);
+    if (current === undefined) {
+      if (key !== "activeSetName") progress.set(key, value);
+    } else if (key.startsWith("collection_")) {
+      progress.set(key, mergeBackupCollections(key.slice("collection_".length), current, value || {}));
+    } else if (key.startsWith("packStats_")) {
+      progress.set(key, mergeBackupStats(current, value || {}));
+    } else if (key === "recentCards") {
+      progress.set(key, mergeRecentCards(current, value || []));
+    }
+  });
+  // Preferences already set here win
+  const local = getLocalSettings();
+  Object.entries(backup.settings || {}).forEach(([key, value]) => {
+    if (isBackupSettingKey(key) && !(key in local)) settings.set(key, String(value));
+  });
+  return { progress, settings };
+}
+
+function summarizeSetProgress(setName, getValue) {
+  const collectionData = getValue(`collection_${setName}`) || {};
+  const setStats = getValue(`packStats_${setName}`) || {};
+  const owned = Object.values(collectionData).filter(entry => (entry.count || 0) > 0);
+  return {
+    packs: setStats.packsOpened || 0,
+    cards: owned.length,
+    copies: owned.reduce((sum, entry) => sum + (entry.count || 0), 0)
+  };
+}
+
+function renderBackupPreview(backup, mode, onDone) {
+  const body = backupImportDiv.querySelector(".set-report-body");
+  body.innerHTML = "";
+  const plan = planBackupImport(backup, mode);
+  const after = key => plan.progress.has(key) ? plan.progress.get(key) : ProgressStore.get(key);
+
+  const heading = document.createElement("h3");
+  heading.textContent = "Import backup";
+  const summary = document.createElement("p");
+  summary.textContent = `Backup from ${backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : "an unknown date"}.`;
+  body.append(heading, summary);
+
+  const modes = document.createElement("div");
+  modes.className = "backup-modes";
+  [
+    ["merge", "Merge: add the backup to your progress, keeping the higher count of each card and stat"],
+    ["replace", "Replace: make your progress exactly the backup's; sets missing from it are cleared"]
+  ].forEach(([value, text]) => {
+    const label = document.createElement("label");
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "backupMode";
+    radio.value = value;
+    radio.checked = value === mode;
+    radio.onchange = () => showBackupPreview(backup, value, onDone);
+    label.append(radio, ` ${text}`);
+    modes.appendChild(label);
+  });
+  body.appendChild(modes);
+
+  const setNames = new Set();
+  [...ProgressStore.keys(), ...Object.keys(backup.progress)].forEach(key => {
+    const match = key.match(/^(?:collection_|packStats_)(.*)$/);
+    if (match) setNames.add(match[1]);
+  });
+
+  const rows = [...setNames].sort().map(setName => {
+    const before = summarizeSetProgress(setName, key => ProgressStore.get(key));
+    const result = summarizeSetProgress(setName, after);
+    const format = s => `${s.cards} cards (${s.copies} copies), ${s.packs} packs`;
+    const changed = format(before) !== format(result);
+    const removed = !result.cards && !result.packs && (before.cards || before.packs);
+    return { setName, before: format(before), after: format(result), changed, removed };
+  });
+
+  const changes = rows.filter(row => row.changed);
+  const note = document.createElement("p");
+  note.textContent = changes.length
+    ? `${changes.length} set${changes.length === 1 ? "" : "s"} will change:`
+    : "Nothing in your collections would change.";
+  body.appendChild(note);
+
+  if (rows.length) {
+    const table = document.createElement("table");
+    table.className = "backup-table";
+    table.innerHTML = "<thead><tr><th>Set</th><th>Now</th><th>After import</th></tr></thead>";
+    const tbody = document.createElement("tbody");
+    rows.forEach(row => {
+      const tr = document.createElement("tr");
+      if (row.changed) tr.className = row.removed ? "backup-removed" : "backup-changed";
+      [row.setName, row.before, row.after].forEach(text => {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    body.appendChild(table);
+  }
+
+  const settingChanges = [...plan.settings.keys()].length;
+  if (settingChanges) {
+    const settingsNote = document.createElement("p");
+    settingsNote.textContent = `${settingChanges} preference${settingChanges === 1 ? "" : "s"} (pity, booster boxes, master set rules) will be updated.`;
+    body.appendChild(settingsNote);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "set-update-actions";
+  [[mode === "replace" ? "Replace my progress" : "Merge into my progress", plan], ["Cancel", null]].forEach(([text, result]) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.onclick = () => onDone(result);
+    actions.appendChild(btn);
+  });
+  body.appendChild(actions);
+  backupImportDiv.classList.remove("hidden");
+}
+
+// A backup can still hold values the merge cannot handle; report them instead of leaving a half-drawn panel
+function showBackupPreview(backup, mode, onDone) {
+  try {
+    renderBackupPreview(backup, mode, onDone);
+  } catch (err) {
+    backupImportDiv.classList.add("hidden");
+    alert(`Could not import the backup: ${err.message || err}`);
+  }
+}
+
+function applyBackupPlan(plan) {
+  plan.progress.forEach((value, key) => {
+    if (value === undefined) ProgressStore.remove(key);
+    else ProgressStore.set(key, value);
+  });
+  plan.settings.forEach((value, key) => {
+    if (value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  });
+
+  // Reload whatever the open set shows
+  masterSetNeedsVariants = localStorage.getItem("masterSetNeedsVariants") === "true";
+  recentCards = ProgressStore.get("recentCards") || [];
+  loadCollectionAndStats();
+  if (cards.length) {
+    migrateCollectionKeys();
+    restoreBoosterBox();
+  }
+  updateStatsDisplay();
+  renderCollection(collectionFilter ? collectionFilter.value : null);
+  renderSetTabs();
+}
+
+function importBackupFile(file) {
+  const reader = new FileReader();
+  reader.onload = ev => {
+    let backup;
+    try {
+      backup = JSON.parse(ev.target.result);
+      validateBackup(backup);
+    } catch (err) {
+      return alert(`Could not import the backup: ${err.message || err}`);
+    }
+    const onDone = plan => {
+      backupImportDiv.classList.add("hidden");
+      if (!plan) return;
+      try {
+        applyBackupPlan(plan);
+      } catch (err) {
+        return alert(`Could not import the backup: ${err.message || err}`);
+      }
+      ProgressStore.flush().then(() => alert("Backup imported"));
+    };
+    showBackupPreview(backup, "merge", onDone);
+  };
+  reader.readAsText(file);
+}
+
+if (exportBackupBtn) exportBackupBtn.onclick = exportBackup;
+if (importBackupBtn && backupInput) {
+  importBackupBtn.onclick = () => backupInput.click();
+  backupInput.onchange = () => {
+    const file = backupInput.files[0];
+    backupInput.value = "";
+    if (file) importBackupFile(file);
   };
 }
 
 /* ---------------- RESET ---------------- */
 if (resetBtn) {
   resetBtn.onclick = () => {
-    if (!confirm(`Erase all collection data for "${currentSetName}"?`)) return;
-    localStorage.removeItem(getCollectionKey());
-    localStorage.removeItem(getStatsKey());
+    if (!confirm(`Erase all collection data for "${currentSetName}"?\nThis can't be undone. Use "Export Backup" on the start screen first to keep a copy.`)) return;
+    ProgressStore.remove(getCollectionKey());
+    ProgressStore.remove(getStatsKey());
+    localStorage.removeItem(getBoxKey());
     stats = { packsOpened: 0, totalCards: 0, rarities: {} };
     collection = {};
+    activeBox = null;
+    updateBoxStatus();
     updateStatsDisplay();
     renderCollection(collectionFilter ? collectionFilter.value : null);
   };
@@ -566,14 +4242,19 @@ if (resetBtn) {
 if (typeof MetaLightbox !== 'undefined') {
   lightbox = new MetaLightbox({
     theme: 'dark',
-    showMetadata: false,
+    showMetadata: true,
     showNavigation: true,
     showCounter: false,
     closeOnBackdropClick: true,
     closeOnEscape: true,
     overlayOpacity: 0.95,
     apiBaseUrl: null,
-    apiEndpoint: null
+    apiEndpoint: null,
+    fallbackImage: 'cardback.png',
+    imageSources: (card) => getCardImageSources(card, "large"),
+    hooks: {
+      onImageError: ({ card }) => recordBrokenImage(card, getCardImageSources(card, "large"))
+    }
   });
 }
 
@@ -594,6 +4275,16 @@ function attachLightboxHandlers(cardElement, cardData, allCards, cardIndex) {
   });
 }
 
+// Collection tiles share one handler, so updating a tile never has to re-bind it
+if (collectionDiv) {
+  collectionDiv.addEventListener("click", (e) => {
+    const tile = e.target.closest(".card");
+    if (!lightbox || !tile || tile.dataset.cardIndex === undefined) return;
+    e.stopPropagation();
+    lightbox.open(collectionVisibleEntries, Number(tile.dataset.cardIndex));
+  });
+}
+
 /* ---------------- RECENT CARDS ---------------- */
 function renderRecentCards() {
   if (!recentCardsDiv || !recentCards.length) return;
@@ -604,10 +4295,11 @@ function renderRecentCards() {
   recentCardsDiv.style.justifyContent = "center";
 
   recentCards.slice(0, 10).forEach((c, i) => {
-    if (!c || !c.image) return;
+    if (!c || !getCardImageSources(c).length) return;
     const div = document.createElement("div");
-    div.className = `card rarity-${(c.rarity || 'Common').replace(/\s+/g, '-')} show`;
-    div.innerHTML = `<img src="${c.image}" alt="${c.name || ''}" onerror="this.src='cardback.png'">`;
+    div.className = `card ${getRarityClass(c.rarity)} ${getVariantClass(c.variant)} show`;
+    div.innerHTML = `<img alt="${c.name || ''}">`;
+    setCardImage(div.querySelector("img"), c);
     recentCardsDiv.appendChild(div);
     attachLightboxHandlers(div, c, recentCards.slice(0, 10), i);
   });
@@ -627,5 +4319,33 @@ if (toggleRecentCardsBtn) {
 }
 
 /* ---------------- INITIAL BOOT ---------------- */
-initStartScreen();
+applyRarityStyles();
+renderRarityFilter();
 showScreen(startScreen);
+
+// Shared seed links (?set=...&seed=...) preload the set and prefill the seed box
+const bootParams = new URLSearchParams(window.location.search);
+if (bootParams.get("seed") && packSeedInput) packSeedInput.value = bootParams.get("seed");
+
+registerServiceWorker();
+updateStorageUsage();
+
+let storageErrorShown = false;
+ProgressStore.onError(err => {
+  if (storageErrorShown) return;
+  storageErrorShown = true;
+  alert(`Your progress could not be saved (${err.message || err}). It is kept while this page stays open and saved with your next pack once there is room again. Free up browser storage to keep it.`);
+});
+
+ProgressStore.init().then(backend => {
+  if (backend === "memory") alert("Browser storage is unavailable, so progress will be lost when this page is closed.");
+  currentSetName = ProgressStore.get("activeSetName") || currentSetName;
+  recentCards = ProgressStore.get("recentCards") || [];
+  loadCollectionAndStats();
+  return Promise.all([loadCatalog(), refreshLibrary()]);
+}).then(() => {
+  initStartScreen();
+  const sharedSet = findCatalogEntry(bootParams.get("set"));
+  if (sharedSet && !sharedSet.missing) loadSet(sharedSet.path, sharedSet.name);
+  else if (findLibraryEntry(bootParams.get("set"))) loadLibrarySet(bootParams.get("set"));
+});
@@ -0,0 +1,192 @@
+/**
+ * Set Library
+ *
+ * Keeps imported sets in IndexedDB so they survive reloads. Set files are too
+ * large for localStorage (the Akala set alone is ~160 KB), so each imported set
+ * is stored as one record holding its full `tcg-deck-builder-export` envelope.
+ *
+ * Record shape:
+ * {
+ *   id,          // stable library id
+ *   name,        // set name, also used for collection_<name> / packStats_<name>
+ *   sourceUrl,   // URL it was imported from (null for local files)
+ *   fileName,    // original file name for local imports
+ *   cardCount,
+ *   importedAt,
+ *   updatedAt,
+ *   data         // the set envelope as loaded
+ * }
+ *
+ * Images unpacked from ZIP bundles live in a second store as
+ * { key, type, data: ArrayBuffer }. Set data refers to them by key, and images
+ * no set refers to any more are pruned when a set is saved or removed.
+ *
+ * All methods return Promises and reject when IndexedDB is unavailable.
+ */
+
+(function(window) {
+  'use strict';
+
+  const DB_NAME = 'pack-opener';
+  const DB_VERSION = 2;
+  const STORE = 'sets';
+  const IMAGE_STORE = 'images';
+
+  let dbPromise = null;
+
+  /**
+   * Opens (and on first use creates) the database
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('name', 'name', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+          db.createObjectStore(IMAGE_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('Failed to open the set library'));
+    });
+
+    // allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /**
+   * Runs `fn(store)` in a transaction and resolves with the request result
+   */
+  function withStore(mode, fn, storeName = STORE) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error || new Error('Set library transaction failed'));
+      tx.onabort = () => reject(tx.error || new Error('Set library transaction aborted'));
+    }));
+  }
+
+  function generateId() {
+    return `set_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+  }
+
+  /**
+   * Lists all records, without their card data, sorted by name
+   */
+  function list() {
+    return withStore('readonly', store => store.getAll()).then(records =>
+      (records || [])
+        .map(({ data, ...summary }) => summary)
+        .sort((a, b) => a.name.localeCompare(b.name))
+    );
+  }
+
+  function get(id) {
+    return withStore('readonly', store => store.get(id)).then(record => record || null);
+  }
+
+  function findByName(name) {
+    return withStore('readonly', store => store.index('name').get(name)).then(record => record || null);
+  }
+
+  /**
+   * Stores a set. A set with the same name replaces the existing record
+   *
+   * @param {object} entry - { name, data, sourceUrl, fileName }
+   * @returns {Promise<object>} - The stored record
+   */
+  function save(entry) {
+    return findByName(entry.name).then(existing => {
+      const now = new Date().toISOString();
+      const cardsList = Array.isArray(entry.data) ? entry.data : (entry.data && entry.data.data) || [];
+      const record = {
+        id: existing ? existing.id : generateId(),
+        name: entry.name,
+        sourceUrl: entry.sourceUrl !== undefined ? entry.sourceUrl : (existing ? existing.sourceUrl : null),
+        fileName: entry.fileName !== undefined ? entry.fileName : (existing ? existing.fileName : null),
+        cardCount: cardsList.length,
+        importedAt: existing ? existing.importedAt : now,
+        updatedAt: now,
+        data: entry.data
+      };
+      return withStore('readwrite', store => store.put(record))
+        .then(() => pruneImages())
+        .then(() => record);
+    });
+  }
+
+  function rename(id, newName) {
+    return get(id).then(record => {
+      if (!record) throw new Error('Set not found in library');
+      return findByName(newName).then(clash => {
+        if (clash && clash.id !== id) throw new Error(`A set named "${newName}" already exists`);
+        const updated = { ...record, name: newName, updatedAt: new Date().toISOString() };
+        return withStore('readwrite', store => store.put(updated)).then(() => updated);
+      });
+    });
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id)).then(() => pruneImages());
+  }
+
+  /**
+   * Stores an image blob under `key` (replacing any image with that key)
+   */
+  function saveImage(key, blob) {
+    // Blobs are stored as ArrayBuffers; some browsers cannot put Blobs in IndexedDB
+    return blob.arrayBuffer().then(data =>
+      withStore('readwrite', store => store.put({ key, type: blob.type, data }), IMAGE_STORE)
+    );
+  }
+
+  /**
+   * @returns {Promise<Blob|null>}
+   */
+  function getImage(key) {
+    return withStore('readonly', store => store.get(key), IMAGE_STORE).then(record =>
+      record ? new Blob([record.data], { type: record.type }) : null
+    );
+  }
+
+  /**
+   * Deletes images whose key no stored set mentions
+   */
+  function pruneImages() {
+    return Promise.all([
+      withStore('readonly', store => store.getAll()),
+      withStore('readonly', store => store.getAllKeys(), IMAGE_STORE)
+    ]).then(([records, keys]) => {
+      if (!keys || !keys.length) return;
+      const text = (records || []).map(record => JSON.stringify(record.data)).join('');
+      const unused = keys.filter(key => !text.includes(key));
+      if (!unused.length) return;
+      return withStore('readwrite', store => { unused.forEach(key => store.delete(key)); }, IMAGE_STORE);
+    });
+  }
+
+  window.SetLibrary = {
+    list,
+    get,
+    findByName,
+    save,
+    rename,
+    remove,
+    saveImage,
+    getImage
+  };
+
+})(window);
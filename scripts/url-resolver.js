@@ -13,6 +13,7 @@
  * - Transformation pipelines and hooks
  * - Plugin/extension system
  * - Input type detection and auto-routing
+ * - ZIP bundles (a JSON file plus its images) for import and export
  * - Configurable options
  * 
  * URL Resolution:
@@ -530,6 +531,20 @@ function readFileAsText(file) {
     });
 }
 
+function readBlobAsArrayBuffer(blob) {
+    return new Promise((resolve, reject) => {
+        if (!(blob instanceof Blob)) {
+            reject(new Error('Input is not a Blob object'));
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = (e) => reject(new Error('Failed to read blob'));
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
 function readBlobAsText(blob) {
     return new Promise((resolve, reject) => {
         if (!(blob instanceof Blob)) {
@@ -659,6 +674,279 @@ function resolveImagesInJson(jsonData, sourceUrl, imageResolver = null) {
     return processObject(processed);
 }
 
+/**
+ * Maps every image URL in a JSON structure (the same fields resolveImagesInJson
+ * touches) through an async mapper. Returns a copy; the input is left untouched.
+ * 
+ * @param {*} jsonData - Parsed JSON
+ * @param {function} mapper - (url) => newUrl or Promise<newUrl>
+ * @returns {Promise<*>} - Copy with mapped image URLs
+ */
+async function rewriteImageUrls(jsonData, mapper) {
+    if (!jsonData || typeof jsonData !== 'object') return jsonData;
+    
+    async function processValue(key, value) {
+        if (typeof value === 'string' && key && key.toLowerCase().includes('image')) {
+            return mapper(value);
+        }
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(item => processValue(null, item)));
+        }
+        if (value && typeof value === 'object') {
+            // Strings inside an `images` object are image URLs whatever their key ("small", "large")
+            const imageObject = key && key.toLowerCase().includes('image');
+            const entries = await Promise.all(Object.entries(value).map(async ([k, v]) =>
+                [k, await processValue(imageObject && typeof v === 'string' ? 'image' : k, v)]));
+            return Object.fromEntries(entries);
+        }
+        return value;
+    }
+    
+    return processValue(null, jsonData);
+}
+
+// ==================== ZIP BUNDLES ====================
+
+/**
+ * A bundle is a ZIP holding one JSON file and the images it refers to. Entries
+ * may be stored or deflated; ZIP64 and encrypted archives are not supported.
+ */
+const ZIP_IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    svg: 'image/svg+xml'
+};
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function isZipData(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function isZipFile(input) {
+    const name = (input && input.name) || '';
+    const type = (input && input.type) || '';
+    return /\.zip$/i.test(name) || /zip/i.test(type);
+}
+
+function getZipEntryType(name) {
+    const ext = name.split('.').pop().toLowerCase();
+    return ZIP_IMAGE_TYPES[ext] || (ext === 'json' ? 'application/json' : 'application/octet-stream');
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP entries');
+    }
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads a ZIP archive
+ * 
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<Map<string, Blob>>} - Entry path => contents (directories are skipped)
+ */
+async function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    
+    // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+    
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+    
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('Corrupt ZIP central directory');
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new Error(`Encrypted ZIP entry: ${name}`);
+        
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) data = raw;
+        else if (method === 8) data = await inflateRaw(raw);
+        else throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+        
+        entries.set(name, new Blob([data], { type: getZipEntryType(name) }));
+    }
+    return entries;
+}
+
+/**
+ * Builds a ZIP archive (entries are stored uncompressed; images are compressed already)
+ * 
+ * @param {Array<{name: string, data: Blob|string|Uint8Array}>} files - Archive entries
+ * @returns {Promise<Blob>} - The archive
+ */
+async function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    for (const file of files) {
+        let data = file.data;
+        if (typeof data === 'string') data = encoder.encode(data);
+        else if (data instanceof Blob) data = new Uint8Array(await readBlobAsArrayBuffer(data));
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local.buffer, name, data);
+        
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(12, dosTime, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(header.buffer, name);
+        
+        offset += 30 + name.length + data.length;
+    }
+    
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+/**
+ * Imports a ZIP bundle: parses its JSON file and rewrites image paths that point
+ * into the archive (by path relative to the JSON, or by file name for absolute URLs)
+ * 
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {object} options - Import options
+ * @param {function} options.storeImage - (path, blob, context) => url or Promise<url>;
+ *   defaults to a blob: URL, which only lasts for the page session
+ * @param {object} context - Import context
+ * @returns {Promise<*>} - Parsed JSON with rewritten image URLs
+ */
+async function importBundle(buffer, options = {}, context = {}) {
+    const entries = await readZip(buffer);
+    const paths = [...entries.keys()].filter(name => !name.startsWith('__MACOSX/'));
+    
+    const jsonName = paths
+        .filter(name => /\.json$/i.test(name))
+        .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!jsonName) throw new Error('The ZIP bundle has no JSON file');
+    
+    const handler = TYPE_HANDLERS.get('json');
+    let data = handler.parse(await readBlobAsText(entries.get(jsonName)));
+    data = await executeHooks('afterParse', data, { ...context, type: 'json', bundle: true });
+    
+    const baseDir = jsonName.slice(0, jsonName.lastIndexOf('/') + 1);
+    const byFileName = new Map();
+    paths.filter(name => ZIP_IMAGE_TYPES[name.split('.').pop().toLowerCase()]).forEach(name => {
+        const fileName = name.split('/').pop();
+        byFileName.set(fileName, byFileName.has(fileName) ? null : name); // null marks a clash
+    });
+    
+    const storeImage = options.storeImage || ((path, blob) => URL.createObjectURL(blob));
+    const stored = new Map();
+    data = await rewriteImageUrls(data, (url) => {
+        const clean = url.replace(/^\.\//, '');
+        let path = entries.has(baseDir + clean) ? baseDir + clean : (entries.has(clean) ? clean : null);
+        if (!path) {
+            let fileName = clean.split(/[?#]/)[0].split('/').pop();
+            try { fileName = decodeURIComponent(fileName); } catch (e) { /* keep as is */ }
+            path = byFileName.get(fileName) || null;
+        }
+        if (!path) return url;
+        if (!stored.has(path)) stored.set(path, Promise.resolve(storeImage(path, entries.get(path), context)));
+        return stored.get(path);
+    });
+    
+    if (options.applyTransformers !== false) {
+        data = applyTransformers(data, { ...context, bundle: true });
+    }
+    return executeHooks('afterImport', data, { ...context, bundle: true });
+}
+
+/**
+ * Downloads files as a ZIP archive
+ * 
+ * @param {Array<{name: string, data: Blob|string|Uint8Array}>} files - Archive entries
+ * @param {string} filename - Download name
+ * @returns {Promise<Blob>} - The archive
+ */
+async function exportZipToFile(files, filename = `${URL_RESOLVER_CONFIG.defaultExportFilename}.zip`) {
+    const blob = await createZip(files);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return blob;
+}
+
 // ==================== UNIFIED IMPORT FUNCTION ====================
 
 /**
@@ -671,6 +959,7 @@ function resolveImagesInJson(jsonData, sourceUrl, imageResolver = null) {
  * @param {string} options.inputType - Force input type ('url', 'string', 'file', 'blob', 'object', 'auto')
  * @param {boolean} options.resolveImages - Resolve image URLs (default: true, JSON only)
  * @param {function} options.imageResolver - Custom image resolver
+ * @param {function} options.storeImage - Stores images from a ZIP bundle (see importBundle)
  * @param {string} options.sourceUrl - Source URL for context
  * @param {object} options.fetchOptions - Additional fetch options
  * @param {boolean} options.applyTransformers - Apply registered transformers (default: true)
@@ -702,7 +991,11 @@ async function importData(input, options = {}) {
         switch (inputType) {
             case 'url':
                 const response = await fetchWithCors(input, options.fetchOptions);
-                content = await response.text();
+                const buffer = await response.arrayBuffer();
+                if (isZipData(new Uint8Array(buffer))) {
+                    return importBundle(buffer, options, { ...context, sourceUrl: context.sourceUrl || input });
+                }
+                content = new TextDecoder().decode(buffer);
                 detectedType = detectFileType(content, null, response.headers.get('content-type'));
                 break;
                 
@@ -712,11 +1005,17 @@ async function importData(input, options = {}) {
                 break;
                 
             case 'file':
+                if (isZipFile(input)) {
+                    return importBundle(await readBlobAsArrayBuffer(input), options, context);
+                }
                 content = await readFileAsText(input);
                 detectedType = detectFileType(content, input.name, input.type);
                 break;
                 
             case 'blob':
+                if (isZipFile(input)) {
+                    return importBundle(await readBlobAsArrayBuffer(input), options, context);
+                }
                 content = await readBlobAsText(input);
                 detectedType = detectFileType(content, null, input.type);
                 break;
@@ -787,9 +1086,9 @@ async function importData(input, options = {}) {
  * @param {string} options.filename - Filename for download
  * @param {string} options.format - Export format ('file', 'blob', 'dataUrl', 'string')
  * @param {object} options.stringifyOptions - Options to pass to stringify function
- * @returns {*} - Exported data (format depends on options.format)
+ * @returns {Promise<*>} - Exported data (format depends on options.format)
  */
-function exportData(data, options = {}) {
+async function exportData(data, options = {}) {
     const config = { ...URL_RESOLVER_CONFIG, ...options };
     const type = options.type || 'json';
     const format = options.format || 'file';
@@ -800,10 +1099,7 @@ function exportData(data, options = {}) {
     };
     
     // Execute beforeExport hooks
-    let processedData = executeHooks('beforeExport', data, context);
-    if (processedData === data) {
-        processedData = data; // Sync hooks
-    }
+    let processedData = await executeHooks('beforeExport', data, context);
     
     // Get handler
     const handler = TYPE_HANDLERS.get(type);
@@ -812,20 +1108,16 @@ function exportData(data, options = {}) {
     }
     
     // Execute beforeStringify hooks
-    processedData = executeHooks('beforeStringify', processedData, context);
-    if (processedData === data) {
-        processedData = processedData; // Sync hooks
-    }
+    processedData = await executeHooks('beforeStringify', processedData, context);
     
     // Stringify
     const stringified = handler.stringify(processedData, options.stringifyOptions || {});
     
     // Execute afterStringify hooks
-    const finalString = executeHooks('afterStringify', stringified, context);
-    const output = finalString === stringified ? stringified : finalString;
+    const output = await executeHooks('afterStringify', stringified, context);
     
     // Execute afterExport hooks
-    executeHooks('afterExport', output, context);
+    await executeHooks('afterExport', output, context);
     
     // Format output
     switch (format) {
@@ -914,10 +1206,19 @@ const exports = {
     // File functions
     readFileAsText,
     readBlobAsText,
+    readBlobAsArrayBuffer,
+    
+    // ZIP bundles
+    importBundle,
+    readZip,
+    createZip,
+    exportZipToFile,
+    isZipFile,
     
     // Image functions (legacy)
     resolveImageUrl,
     resolveImagesInJson,
+    rewriteImageUrls,
     
     // Configuration
     URL_RESOLVER_CONFIG,
@@ -0,0 +1,97 @@
+/**
+ * Service worker for offline use
+ *
+ * - App shell (the files in SHELL_FILES and page navigations, stored without their query
+ *   string): network first, falling back to the cached copy, so updates show up as soon as
+ *   the network is back
+ * - Set files under sets/: network first, cached on every successful load
+ * - Images: served from the image cache when the set was downloaded for offline use
+ *   (script.js fills that cache), otherwise straight from the network
+ * - Anything else is left to the browser and never cached
+ */
+
+const SHELL_CACHE = 'pack-opener-shell-v3';
+const SET_CACHE = 'pack-opener-sets';
+const IMAGE_CACHE = 'pack-opener-images';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'style.css',
+  'cardback.png',
+  'manifest.webmanifest',
+  'scripts/url-resolver.js',
+  'scripts/meta-lightbox.js',
+  'scripts/set-library.js',
+  'scripts/progress-store.js',
+  'scripts/script.js',
+  'sets/index.json'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops shell caches from older versions; set and image caches are kept
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('pack-opener-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const SHELL_URLS = new Set(SHELL_FILES.map(file => new URL(file, self.registration.scope).href));
+
+// `cacheKey` lets page navigations share one entry whatever their query string (?set=...&seed=...)
+function networkFirst(request, cacheName, cacheKey = request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(cacheName).then(cache => cache.put(cacheKey, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(cacheKey).then(hit => hit || Response.error()));
+}
+
+// Serves what the offline download stored; nothing is added here
+function cacheFirst(request, cacheName) {
+  return caches.open(cacheName)
+    .then(cache => cache.match(request.url))
+    .then(hit => hit || fetch(request));
+}
+
+// HEAD requests (the catalog's file checks) are answered from a cached GET when there is one
+function headFromCache(request) {
+  return caches.match(request.url).then(hit => hit
+    ? new Response(null, { status: hit.status, statusText: hit.statusText, headers: hit.headers })
+    : fetch(request));
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  const isSetFile = url.origin === self.location.origin && url.pathname.includes('/sets/') && url.pathname.endsWith('.json');
+
+  if (request.method === 'HEAD') {
+    if (url.origin === self.location.origin) event.respondWith(headFromCache(request));
+  } else if (request.method !== 'GET') {
+    return;
+  } else if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, url.origin + url.pathname));
+  } else if (SHELL_URLS.has(url.href)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (isSetFile) {
+    event.respondWith(networkFirst(request, SET_CACHE));
+  } else if (request.destination === 'image' && /^https?:$/.test(url.protocol)) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  }
+});